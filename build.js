@@ -10,7 +10,7 @@ const path = require('path');
 function minifyJS(code) {
     return code
         .replace(/\/\*[\s\S]*?\*\//g, '') // Remove block comments
-        .replace(/\/\/.*$/gm, '') // Remove line comments
+        .replace(/(^|[^:])\/\/.*$/gm, '$1') // Remove line comments (keep :// in URLs)
         .replace(/\s+/g, ' ') // Replace multiple spaces with single space
         .replace(/\s*([{}();,=+*/])\s*/g, '$1') // Remove spaces around operators (excluding -)
         .replace(/;\s*}/g, '}') // Remove semicolons before closing braces
@@ -35,7 +35,7 @@ if (!fs.existsSync(buildDir)) {
 console.log('🚀 Starting build process...');
 
 // Read and minify JavaScript files
-const jsFiles = ['js/app.js', 'js/diagnosis.js'];
+const jsFiles = ['js/app.js', 'js/diagnosis.js', 'js/api-client.js', 'js/response-cache.js', 'js/survey-query.js', 'js/offline-store.js', 'js/data-import.js', 'js/data-export.js', 'js/router.js', 'js/credential-vault.js', 'js/audit-log.js', 'js/data-quality.js', 'js/survey-record.js', 'js/duplicate-detector.js'];
 const minifiedJS = {};
 
 jsFiles.forEach(file => {
@@ -58,8 +58,9 @@ console.log('✅ Minified CSS');
 let htmlContent = fs.readFileSync('index.html', 'utf8');
 
 // Replace script sources with minified versions
-htmlContent = htmlContent.replace('js/app.js', 'app.min.js');
-htmlContent = htmlContent.replace('js/diagnosis.js', 'diagnosis.min.js');
+jsFiles.forEach(file => {
+    htmlContent = htmlContent.replace(file, path.basename(file, '.js') + '.min.js');
+});
 htmlContent = htmlContent.replace('css/styles.min.css', 'styles.min.css');
 
 // Inline critical CSS
@@ -85,13 +86,35 @@ filesToCopy.forEach(file => {
     }
 });
 
+// Copy mock API (server module, fixture data and the shared query helper)
+const fixturesDir = path.join(buildDir, 'fixtures');
+if (!fs.existsSync(fixturesDir)) {
+    fs.mkdirSync(fixturesDir, { recursive: true });
+}
+fs.copyFileSync('server/mock-api.js', path.join(buildDir, 'mock-api.js'));
+fs.copyFileSync('server/fixtures/surveys.json', path.join(fixturesDir, 'surveys.json'));
+fs.copyFileSync('js/survey-query.js', path.join(buildDir, 'survey-query.js'));
+console.log('✅ Copied mock API and fixtures');
+
 // Create a simple server for testing
 const serverContent = `#!/usr/bin/env node
 const express = require('express');
 const path = require('path');
+const { registerMockApi } = require('./mock-api');
 const app = express();
 const port = process.env.PORT || 3000;
 
+// Mock survey API (disable with MOCK_API=false when proxying a real backend)
+const mockEnabled = process.env.MOCK_API !== 'false';
+const mockAdminKey = process.env.MOCK_ADMIN_KEY || 'demo-admin-key';
+if (mockEnabled) {
+    app.use(express.json());
+    registerMockApi(app, {
+        adminKey: mockAdminKey,
+        fixturePath: path.join(__dirname, 'fixtures', 'surveys.json')
+    });
+}
+
 app.use(express.static(path.join(__dirname)));
 
 app.get('*', (req, res) => {
@@ -101,6 +124,9 @@ app.get('*', (req, res) => {
 app.listen(port, () => {
     console.log(\`🚀 Server running at http://localhost:\${port}\`);
     console.log('📊 Restaurant Survey Admin Panel - Optimized Build');
+    if (mockEnabled) {
+        console.log(\`🧪 Mock API enabled: API地址 http://localhost:\${port}，管理员密钥 \${mockAdminKey}（账号登录: admin / consultant / viewer，密码同管理员密钥）\`);
+    }
 });
 `;
 
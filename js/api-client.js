@@ -0,0 +1,249 @@
+// Survey API Client
+// 统一的请求层：超时、指数退避重试、取消过期请求、合并重复请求、类型化错误
+
+/**
+ * API 请求错误
+ * type: unauthorized / forbidden / rate_limited / server / http / offline / timeout / aborted
+ */
+class ApiError extends Error {
+    constructor(type, message, details = {}) {
+        super(message);
+        this.name = 'ApiError';
+        this.type = type;
+        this.status = details.status || null;
+        this.attempts = details.attempts || 1;
+        this.body = details.body || null;
+    }
+
+    // 网络错误与 5xx 可以重试，其余错误重试也不会成功
+    get retryable() {
+        return this.type === 'server' || this.type === 'offline' || this.type === 'timeout';
+    }
+
+    static fromResponse(response, body) {
+        const status = response.status;
+        const message = (body && body.error) || `HTTP ${status}`;
+
+        if (status === 401) return new ApiError('unauthorized', message, { status, body });
+        if (status === 403) return new ApiError('forbidden', message, { status, body });
+        if (status === 429) return new ApiError('rate_limited', message, { status, body });
+        if (status >= 500) return new ApiError('server', message, { status, body });
+        return new ApiError('http', message, { status, body });
+    }
+}
+
+class SurveyApiClient {
+    /**
+     * @param {Object} options
+     * @param {Function} options.getBaseUrl - 返回当前 API 地址
+     * @param {Function} options.getHeaders - 返回附加请求头（如 x-admin-key 或 Authorization）
+     * @param {Function} [options.onUnauthorized] - 收到 401 时调用（如刷新访问令牌），返回 true 则以新凭据重发一次
+     * @param {number} [options.timeout=30000] - 单次请求超时（毫秒）
+     * @param {number} [options.maxRetries=3] - 最大重试次数
+     * @param {number} [options.retryDelay=500] - 首次重试等待（毫秒），之后按 2 的指数增长
+     */
+    constructor(options) {
+        this.getBaseUrl = options.getBaseUrl;
+        this.getHeaders = options.getHeaders;
+        this.onUnauthorized = options.onUnauthorized || null;
+        this.timeout = options.timeout || 30000;
+        this.maxRetries = options.maxRetries ?? 3;
+        this.retryDelay = options.retryDelay || 500;
+
+        // 进行中的相同请求（method + url）共享同一个 Promise
+        this.inflight = new Map();
+        // 按频道记录最新请求，新请求会取消同频道的旧请求
+        this.channels = new Map();
+        // 进行中的凭据刷新：多个请求同时 401 时只刷新一次
+        this.refreshing = null;
+    }
+
+    buildUrl(path, query) {
+        const base = this.getBaseUrl().replace(/\/+$/, '');
+        const queryString = query instanceof URLSearchParams || typeof query === 'string'
+            ? String(query)
+            : new URLSearchParams(query || {}).toString();
+        return `${base}${path}${queryString ? `?${queryString}` : ''}`;
+    }
+
+    get(path, options = {}) {
+        return this.request('GET', path, options);
+    }
+
+    post(path, body, options = {}) {
+        return this.request('POST', path, { ...options, body });
+    }
+
+    put(path, body, options = {}) {
+        return this.request('PUT', path, { ...options, body });
+    }
+
+    delete(path, options = {}) {
+        return this.request('DELETE', path, options);
+    }
+
+    /**
+     * 发起请求
+     * @param {string} method
+     * @param {string} path - 以 / 开头的接口路径
+     * @param {Object} [options]
+     * @param {Object|string} [options.query] - 查询参数
+     * @param {*} [options.body] - JSON 请求体
+     * @param {string} [options.channel] - 取消频道：同频道的新请求会中止旧请求
+     * @param {string} [options.responseType='json'] - json / blob / text
+     * @param {boolean} [options.retry] - 是否重试，默认仅 GET 重试
+     * @param {boolean} [options.anonymous] - 不附加凭据请求头，401 时也不刷新（登录、刷新令牌接口）
+     */
+    request(method, path, options = {}) {
+        const url = this.buildUrl(path, options.query);
+        const dedupeKey = method === 'GET' ? `${method} ${url}` : null;
+
+        const existing = dedupeKey ? this.inflight.get(dedupeKey) : null;
+
+        // 先取消频道中的旧请求（若旧请求正是要复用的同一请求则保留）
+        if (options.channel && !(existing && this.channels.get(options.channel) === existing.controller)) {
+            this.cancel(options.channel);
+        }
+
+        // 相同的 GET 请求仍在进行且未被取消：直接复用，并登记到本次的频道
+        if (existing && !existing.controller.signal.aborted) {
+            if (options.channel) this.channels.set(options.channel, existing.controller);
+            return existing.promise;
+        }
+
+        const controller = new AbortController();
+        const promise = this.executeWithAuth(method, url, options, controller.signal)
+            .finally(() => {
+                if (dedupeKey && this.inflight.get(dedupeKey)?.controller === controller) {
+                    this.inflight.delete(dedupeKey);
+                }
+                if (options.channel && this.channels.get(options.channel) === controller) {
+                    this.channels.delete(options.channel);
+                }
+            });
+
+        if (dedupeKey) this.inflight.set(dedupeKey, { promise, controller });
+        if (options.channel) this.channels.set(options.channel, controller);
+
+        return promise;
+    }
+
+    // 取消频道中正在进行的请求
+    cancel(channel) {
+        const controller = this.channels.get(channel);
+        if (controller) {
+            controller.abort();
+            this.channels.delete(channel);
+        }
+    }
+
+    // 凭据失效时先刷新，成功后重发原请求（只重发一次，避免刷新后仍被拒绝时循环）
+    async executeWithAuth(method, url, options, signal) {
+        try {
+            return await this.executeWithRetry(method, url, options, signal);
+        } catch (error) {
+            if (error.type !== 'unauthorized' || options.anonymous || !this.onUnauthorized || signal.aborted) {
+                throw error;
+            }
+
+            if (!this.refreshing) {
+                this.refreshing = Promise.resolve()
+                    .then(() => this.onUnauthorized(error))
+                    .catch(() => false)
+                    .finally(() => {
+                        this.refreshing = null;
+                    });
+            }
+            if (!await this.refreshing) throw error;
+            return this.executeWithRetry(method, url, options, signal);
+        }
+    }
+
+    async executeWithRetry(method, url, options, signal) {
+        const retry = options.retry ?? method === 'GET';
+        const maxAttempts = retry ? this.maxRetries + 1 : 1;
+        let lastError;
+
+        for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+            try {
+                return await this.execute(method, url, options, signal);
+            } catch (error) {
+                lastError = error;
+                lastError.attempts = attempt;
+
+                if (!error.retryable || attempt === maxAttempts || signal.aborted) {
+                    throw lastError;
+                }
+
+                // 指数退避 + 随机抖动，避免多个客户端同时重试
+                const delay = this.retryDelay * Math.pow(2, attempt - 1) + Math.random() * 100;
+                console.warn(`⚠️ 请求失败 (${error.type})，${Math.round(delay)}ms 后第 ${attempt} 次重试: ${url}`);
+                await this.sleep(delay, signal);
+            }
+        }
+
+        throw lastError;
+    }
+
+    async execute(method, url, options, signal) {
+        if (typeof navigator !== 'undefined' && navigator.onLine === false) {
+            throw new ApiError('offline', '网络不可用');
+        }
+
+        // 合并外部取消信号与超时
+        const controller = new AbortController();
+        let timedOut = false;
+        const timer = setTimeout(() => {
+            timedOut = true;
+            controller.abort();
+        }, this.timeout);
+        const onAbort = () => controller.abort();
+        signal.addEventListener('abort', onAbort);
+
+        try {
+            const headers = { 'Content-Type': 'application/json', ...(options.anonymous ? {} : this.getHeaders()) };
+            let response;
+            try {
+                response = await fetch(url, {
+                    method,
+                    headers,
+                    body: options.body !== undefined ? JSON.stringify(options.body) : undefined,
+                    signal: controller.signal
+                });
+            } catch (error) {
+                if (signal.aborted) throw new ApiError('aborted', '请求已取消');
+                if (timedOut) throw new ApiError('timeout', '请求超时');
+                throw new ApiError('offline', error.message || '网络请求失败');
+            }
+
+            if (!response.ok) {
+                const body = await response.json().catch(() => null);
+                throw ApiError.fromResponse(response, body);
+            }
+
+            const responseType = options.responseType || 'json';
+            if (responseType === 'blob') return await response.blob();
+            if (responseType === 'text') return await response.text();
+            if (response.status === 204) return null;
+            return await response.json();
+        } finally {
+            clearTimeout(timer);
+            signal.removeEventListener('abort', onAbort);
+        }
+    }
+
+    sleep(ms, signal) {
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(resolve, ms);
+            signal.addEventListener('abort', () => {
+                clearTimeout(timer);
+                reject(new ApiError('aborted', '请求已取消'));
+            }, { once: true });
+        });
+    }
+}
+
+// 导出类
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SurveyApiClient, ApiError };
+}
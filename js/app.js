@@ -1,6 +1,115 @@
 // Optimized Restaurant Survey Admin Panel
 // Performance optimizations: lazy loading, caching, efficient DOM manipulation
 
+// API 响应缓存 (5分钟)
+const API_CACHE_TTL = 5 * 60 * 1000;
+const API_CACHE_MAX_ENTRIES = 50;
+
+// 删除操作的撤销窗口
+const UNDO_WINDOW_MS = 8000;
+
+// 批量拉取全部匹配记录时的分页大小
+const BULK_PAGE_SIZE = 500;
+
+// 门店档案最多拉取的页数（后端忽略 store_identifier 筛选时防止拉取整个数据集）
+const STORE_PROFILE_MAX_PAGES = 10;
+
+// 已保存登录信息的存储键与有效期（天）
+const LOGIN_STORAGE_KEY = 'restaurantSurveyLogin';
+const LOGIN_VALID_DAYS = { plain: 7, encrypted: 30 };
+
+// 角色权限：edit 编辑记录、标签、报告内容与任务；export 导出；manage 归档、恢复与删除；audit 查看审计日志
+// local 为本地文件模式的角色：只操作导入的文件，不含依赖服务器的审计日志
+const ROLE_PERMISSIONS = {
+    viewer: [],
+    consultant: ['edit', 'export'],
+    admin: ['edit', 'export', 'manage', 'audit'],
+    local: ['edit', 'export', 'manage']
+};
+const ROLE_LABELS = { viewer: '只读', consultant: '顾问', admin: '管理员', local: '本地文件' };
+
+// 服务器没有 /api/auth/me（旧版接口）时使用的角色；默认最低权限，部署方确认后可显式改为其他角色
+const LEGACY_SERVER_ROLE = 'viewer';
+
+// 审计事件类型
+const AUDIT_ACTION_LABELS = {
+    'record.update': '修改记录',
+    'record.archive': '归档记录',
+    'record.restore': '恢复记录',
+    'record.delete': '删除记录',
+    'record.tag': '添加标签',
+    'record.untag': '移除标签',
+    'data.export': '导出数据',
+    'data.import': '导入文件',
+    'report.export': '导出诊断报告',
+    'task.create': '创建任务',
+    'task.update': '修改任务',
+    'task.delete': '删除任务',
+    'notes.update': '修改笔记',
+    'settings.update': '修改设置',
+    'duplicate.merge': '合并重复记录',
+    'duplicate.dismiss': '忽略疑似重复'
+};
+
+// 疑似重复的判定依据
+const DUPLICATE_TYPE_LABELS = {
+    exact: { label: '内容完全相同', color: 'red' },
+    identifier: { label: '同一识别码短期内多次提交', color: 'yellow' },
+    similar: { label: '店名相近且经营数据几乎一致', color: 'blue' }
+};
+
+// 环境标签颜色
+const PROFILE_COLORS = {
+    blue: { label: '蓝色', hex: '#3b82f6' },
+    green: { label: '绿色', hex: '#10b981' },
+    amber: { label: '橙色', hex: '#f59e0b' },
+    red: { label: '红色', hex: '#ef4444' },
+    purple: { label: '紫色', hex: '#8b5cf6' },
+    gray: { label: '灰色', hex: '#6b7280' }
+};
+
+// 列表路由参数 (#/surveys?type=火锅) 与筛选字段的对应关系
+const LIST_ROUTE_PARAMS = {
+    keyword: 'q',
+    business_type: 'type',
+    business_circle: 'circle',
+    decoration_level: 'decoration',
+    start_date: 'from',
+    end_date: 'to',
+    min_revenue: 'min',
+    max_revenue: 'max'
+};
+
+// 超过该行数时表格只渲染可视区域（虚拟滚动）
+const VIRTUAL_ROW_THRESHOLD = 100;
+const VIRTUAL_ROW_HEIGHT = 49; // 行高估算值，首次渲染后按实际测量校正
+const VIRTUAL_OVERSCAN = 10;
+
+// 未自定义布局时显示的列
+const DEFAULT_TABLE_COLUMNS = ['id', 'timestamp', 'store_identifier', 'store_name', 'business_type', 'monthly_revenue', 'daily_customers', 'update_count'];
+
+// 可导出的 KPI 列（calculateKPI() 的其余数值字段按原字段名追加）
+const KPI_EXPORT_COLUMNS = [
+    { key: 'overall_score', label: '综合评分' },
+    { key: 'gross_margin', label: '毛利率', percent: true },
+    { key: 'food_cost_ratio', label: '食材成本率', percent: true },
+    { key: 'labor_cost_ratio', label: '人力成本率', percent: true },
+    { key: 'rent_cost_ratio', label: '租金成本率', percent: true },
+    { key: 'marketing_cost_ratio', label: '营销费用率', percent: true },
+    { key: 'utility_cost_ratio', label: '水电气成本率', percent: true },
+    { key: 'table_turnover', label: '翻台率' },
+    { key: 'revenue_per_sqm', label: '坪效', currency: true },
+    { key: 'revenue_per_employee', label: '人效', currency: true },
+    { key: 'avg_spending', label: '客单价', currency: true },
+    { key: 'member_repurchase', label: '会员复购率', percent: true },
+    { key: 'takeaway_ratio', label: '外卖占比', percent: true },
+    { key: 'review_score', label: '评分' },
+    { key: 'negative_comment_rate', label: '差评率', percent: true },
+    { key: 'content_marketing_index', label: '内容营销指数' },
+    { key: 'location_match_score', label: '选址匹配度' },
+    { key: 'marketing_health_score', label: '营销健康度' }
+];
+
 class RestaurantSurveyApp {
     constructor() {
         this.currentData = [];
@@ -8,24 +117,138 @@ class RestaurantSurveyApp {
         this.totalRecords = 0;
         this.limit = 25;
         this.currentRecord = null;
-        this.cache = new Map();
+        this.profileRecords = [];
+        this.compareSelection = [];
+        this.filters = {};
+        this.view = 'active'; // active / archived
+        this.selection = new Map(); // id -> record，跨分页保留
+        this.pendingDeletion = null; // { ids, timer, countdown }
+        this.profiles = this.loadProfiles(); // [{ id, name, apiUrl, color }]
+        const activeProfileId = localStorage.getItem('surveyActiveProfile') || '';
+        this.activeProfileId = this.profiles.some(profile => profile.id === activeProfileId) ? activeProfileId : '';
+        this.sort = this.restoreSortState();
+        this.authMode = localStorage.getItem(this.profileScopedKey('surveyAuthMode')) || 'key'; // key / token
+        this.authSession = null; // 令牌模式：{ username, accessToken, refreshToken, expiresAt }
+        this.currentUser = null; // API 返回的 { username, role }
+        this.role = 'viewer'; // 角色确认前按只读处理
+        this.tableLayout = this.restoreTableLayout(); // { name, columns, widths }
+        this.tableView = null; // 当前渲染的表格状态（虚拟滚动窗口）
+        this.router = new HashRouter();
+        this.listRoute = '/surveys'; // 最近一次列表状态对应的路由
+        this.routing = false; // 正在按路由打开弹窗（此时不再写入历史记录）
+        this.credentialMode = localStorage.getItem('restaurantSurveyCredentialMode') || 'session'; // session / encrypted / plain
+        this.idleLockMinutes = Number(localStorage.getItem('restaurantSurveyIdleLock') ?? 15);
+        this.credentialDigest = null; // 当前已验证凭据的摘要，用于解锁校验
+        this.savedCredentialDigest = null; // 已加密保存的凭据摘要，未变化时不再重复加密
+        this.locked = false;
+        this.lastActivityAt = Date.now();
+        this.cache = new ResponseCache({ ttl: API_CACHE_TTL, maxEntries: API_CACHE_MAX_ENTRIES });
         this.diagnosis = new RestaurantDiagnosisAdvanced();
+        this.exportController = null; // 进行中的导出，取消时中止
+        this.surveyRecords = new WeakMap(); // 原始行 -> SurveyRecord
+        this.duplicateDetector = new DuplicateDetector();
+        this.duplicateClusters = [];
+        this.loadRequestId = 0;
+        this.validator = new SurveyDataValidator({
+            labels: Object.fromEntries(this.getImportFields().map(field => [field.key, field.label]))
+        });
+        this.qualityPolicy = localStorage.getItem('surveyQualityPolicy') || 'allow'; // allow / block
+        this.dataSource = null; // { fromCache, offline, loadedAt }
+        this.offlineStore = new OfflineSurveyStore();
+        this.dataMode = 'api'; // api / file
+        this.localDataset = null; // { name, records, importedAt }
+        this.pendingImport = null;
 
         this.initializeElements();
+        this.api = new SurveyApiClient({
+            getBaseUrl: () => this.elements.apiUrl.value.trim(),
+            getHeaders: () => this.getAuthHeaders(),
+            onUnauthorized: () => this.refreshAuthToken()
+        });
+        this.auditLog = new AuditLogger({
+            send: events => this.api.post('/api/audit', { events }, { retry: false }),
+            canSend: () => this.hasActiveCredentials() && !this.locked,
+            getSource: () => this.getAuditSource()
+        });
         this.bindEvents();
         this.initializeDiagnosis();
+        this.populateFilterOptions();
+        this.initRouter();
 
         // 自动恢复登录状态
         this.restoreLoginState();
+
+        // 深链接到记录时，在凭据恢复后再打开（锁定时由解锁流程打开）
+        if (!this.locked && this.router.match(this.router.current.path)) {
+            this.router.resolve();
+        }
     }
 
     initializeElements() {
         // Cache DOM elements for better performance
         this.elements = {
+            dataSourceSelect: document.getElementById('dataSourceSelect'),
+            fileSourceField: document.getElementById('fileSourceField'),
+            apiUrlField: document.getElementById('apiUrlField'),
+            adminKeyField: document.getElementById('adminKeyField'),
+            importFile: document.getElementById('importFile'),
+            importFileName: document.getElementById('importFileName'),
+            importModal: document.getElementById('importModal'),
+            importSummary: document.getElementById('importSummary'),
+            importMappingContent: document.getElementById('importMappingContent'),
+            confirmImport: document.getElementById('confirmImport'),
+            cancelImport: document.getElementById('cancelImport'),
+            closeImportModal: document.getElementById('closeImportModal'),
             apiUrl: document.getElementById('apiUrl'),
             adminKey: document.getElementById('adminKey'),
+            tokenLoginField: document.getElementById('tokenLoginField'),
+            loginUsername: document.getElementById('loginUsername'),
+            loginPassword: document.getElementById('loginPassword'),
+            authMode: document.getElementById('authMode'),
             loadData: document.getElementById('loadData'),
             logoutBtn: document.getElementById('logoutBtn'),
+            appHeader: document.getElementById('appHeader'),
+            roleBadge: document.getElementById('roleBadge'),
+            qualityPolicy: document.getElementById('qualityPolicy'),
+            openAuditLog: document.getElementById('openAuditLog'),
+            openDuplicates: document.getElementById('openDuplicates'),
+            duplicateModal: document.getElementById('duplicateModal'),
+            closeDuplicateModal: document.getElementById('closeDuplicateModal'),
+            rescanDuplicates: document.getElementById('rescanDuplicates'),
+            duplicateSummary: document.getElementById('duplicateSummary'),
+            duplicateContent: document.getElementById('duplicateContent'),
+            auditModal: document.getElementById('auditModal'),
+            closeAuditModal: document.getElementById('closeAuditModal'),
+            auditActor: document.getElementById('auditActor'),
+            auditAction: document.getElementById('auditAction'),
+            auditTarget: document.getElementById('auditTarget'),
+            auditStartDate: document.getElementById('auditStartDate'),
+            auditEndDate: document.getElementById('auditEndDate'),
+            searchAudit: document.getElementById('searchAudit'),
+            auditSummary: document.getElementById('auditSummary'),
+            auditContent: document.getElementById('auditContent'),
+            profileBadge: document.getElementById('profileBadge'),
+            profileSelect: document.getElementById('profileSelect'),
+            manageProfiles: document.getElementById('manageProfiles'),
+            profileModal: document.getElementById('profileModal'),
+            closeProfileModal: document.getElementById('closeProfileModal'),
+            profileList: document.getElementById('profileList'),
+            newProfileName: document.getElementById('newProfileName'),
+            newProfileUrl: document.getElementById('newProfileUrl'),
+            newProfileColor: document.getElementById('newProfileColor'),
+            addProfile: document.getElementById('addProfile'),
+            credentialMode: document.getElementById('credentialMode'),
+            idleLockMinutes: document.getElementById('idleLockMinutes'),
+            lockNow: document.getElementById('lockNow'),
+            passphraseDialog: document.getElementById('passphraseDialog'),
+            passphraseForm: document.getElementById('passphraseForm'),
+            passphraseTitle: document.getElementById('passphraseTitle'),
+            passphraseMessage: document.getElementById('passphraseMessage'),
+            passphraseInput: document.getElementById('passphraseInput'),
+            passphraseConfirm: document.getElementById('passphraseConfirm'),
+            passphraseError: document.getElementById('passphraseError'),
+            passphraseSubmit: document.getElementById('passphraseSubmit'),
+            passphraseSecondary: document.getElementById('passphraseSecondary'),
             statusDisplay: document.getElementById('statusDisplay'),
             statusIndicator: document.getElementById('statusIndicator'),
             statusText: document.getElementById('statusText'),
@@ -36,7 +259,56 @@ class RestaurantSurveyApp {
             currentCount: document.getElementById('currentCount'),
             latestRecord: document.getElementById('latestRecord'),
             exportCSV: document.getElementById('exportCSV'),
+            exportModal: document.getElementById('exportModal'),
+            closeExportModal: document.getElementById('closeExportModal'),
+            exportAllCount: document.getElementById('exportAllCount'),
+            exportSelectionCount: document.getElementById('exportSelectionCount'),
+            exportColumnsContent: document.getElementById('exportColumnsContent'),
+            exportSelectAllColumns: document.getElementById('exportSelectAllColumns'),
+            exportSelectRawColumns: document.getElementById('exportSelectRawColumns'),
+            exportProgress: document.getElementById('exportProgress'),
+            exportProgressBar: document.getElementById('exportProgressBar'),
+            exportProgressText: document.getElementById('exportProgressText'),
+            cancelExport: document.getElementById('cancelExport'),
+            confirmExport: document.getElementById('confirmExport'),
             limitSelect: document.getElementById('limitSelect'),
+            layoutSelect: document.getElementById('layoutSelect'),
+            openColumnSettings: document.getElementById('openColumnSettings'),
+            columnSettingsModal: document.getElementById('columnSettingsModal'),
+            columnSettingsContent: document.getElementById('columnSettingsContent'),
+            closeColumnSettings: document.getElementById('closeColumnSettings'),
+            resetColumnSettings: document.getElementById('resetColumnSettings'),
+            deleteLayout: document.getElementById('deleteLayout'),
+            saveLayoutAs: document.getElementById('saveLayoutAs'),
+            applyColumnSettings: document.getElementById('applyColumnSettings'),
+            refreshData: document.getElementById('refreshData'),
+            viewSelect: document.getElementById('viewSelect'),
+            bulkActionBar: document.getElementById('bulkActionBar'),
+            selectedCount: document.getElementById('selectedCount'),
+            selectAllMatching: document.getElementById('selectAllMatching'),
+            bulkExport: document.getElementById('bulkExport'),
+            bulkDiagnosis: document.getElementById('bulkDiagnosis'),
+            bulkTag: document.getElementById('bulkTag'),
+            bulkCompare: document.getElementById('bulkCompare'),
+            bulkArchive: document.getElementById('bulkArchive'),
+            bulkDelete: document.getElementById('bulkDelete'),
+            clearSelection: document.getElementById('clearSelection'),
+            undoToast: document.getElementById('undoToast'),
+            undoToastText: document.getElementById('undoToastText'),
+            undoButton: document.getElementById('undoButton'),
+            cacheIndicator: document.getElementById('cacheIndicator'),
+            offlineBanner: document.getElementById('offlineBanner'),
+            offlineBannerText: document.getElementById('offlineBannerText'),
+            filterKeyword: document.getElementById('filterKeyword'),
+            filterBusinessType: document.getElementById('filterBusinessType'),
+            filterBusinessCircle: document.getElementById('filterBusinessCircle'),
+            filterDecorationLevel: document.getElementById('filterDecorationLevel'),
+            filterDateFrom: document.getElementById('filterDateFrom'),
+            filterDateTo: document.getElementById('filterDateTo'),
+            filterRevenueMin: document.getElementById('filterRevenueMin'),
+            filterRevenueMax: document.getElementById('filterRevenueMax'),
+            applyFilters: document.getElementById('applyFilters'),
+            resetFilters: document.getElementById('resetFilters'),
             prevPage: document.getElementById('prevPage'),
             nextPage: document.getElementById('nextPage'),
             pageInfo: document.getElementById('pageInfo'),
@@ -44,24 +316,136 @@ class RestaurantSurveyApp {
             closeModal: document.getElementById('closeModal'),
             exportImageBtn: document.getElementById('exportImageBtn'),
             detailsContent: document.getElementById('detailsContent'),
-            diagnosisContent: document.getElementById('diagnosisContent')
+            diagnosisContent: document.getElementById('diagnosisContent'),
+            profileContent: document.getElementById('profileContent')
         };
     }
 
     bindEvents() {
         // Use event delegation for better performance
+        this.elements.dataSourceSelect.addEventListener('change', (e) => this.setDataMode(e.target.value));
+        this.elements.importFile.addEventListener('change', (e) => {
+            if (e.target.files[0]) this.handleImportFile(e.target.files[0]);
+        });
+        this.elements.confirmImport.addEventListener('click', () => this.confirmImport());
+        this.elements.cancelImport.addEventListener('click', () => this.closeImportModal());
+        this.elements.closeImportModal.addEventListener('click', () => this.closeImportModal());
         this.elements.loadData.addEventListener('click', () => this.loadSurveyData());
+        this.elements.profileSelect.addEventListener('change', (e) => this.switchProfile(e.target.value));
+        this.elements.manageProfiles.addEventListener('click', () => this.openProfileModal());
+        this.elements.closeProfileModal.addEventListener('click', () => this.closeProfileModal());
+        this.elements.addProfile.addEventListener('click', () => this.addProfile());
+        this.elements.profileList.addEventListener('change', (e) => {
+            const row = e.target.closest('[data-profile-id]');
+            if (row && e.target.dataset.field) {
+                this.updateProfile(row.dataset.profileId, e.target.dataset.field, e.target.value.trim());
+            }
+        });
+        this.elements.newProfileColor.innerHTML = Object.entries(PROFILE_COLORS)
+            .map(([value, color]) => `<option value="${value}">${color.label}</option>`).join('');
+        this.populateProfileSelect();
+        this.applyProfileAppearance();
+
+        this.applyRole(this.role);
+        this.elements.auditAction.innerHTML = `
+            <option value="">全部操作</option>
+            ${Object.entries(AUDIT_ACTION_LABELS).map(([value, label]) => `<option value="${value}">${label}</option>`).join('')}
+        `;
+        this.elements.openAuditLog.addEventListener('click', () => this.openAuditLog());
+        this.elements.qualityPolicy.value = this.qualityPolicy;
+        this.elements.qualityPolicy.addEventListener('change', (e) => this.setQualityPolicy(e.target.value));
+        this.elements.closeAuditModal.addEventListener('click', () => this.elements.auditModal.classList.remove('active'));
+        this.elements.openDuplicates.addEventListener('click', () => this.openDuplicateReview());
+        this.elements.rescanDuplicates.addEventListener('click', () => this.scanDuplicates());
+        this.elements.closeDuplicateModal.addEventListener('click', () => this.elements.duplicateModal.classList.remove('active'));
+        this.elements.searchAudit.addEventListener('click', () => this.loadAuditLog());
+        this.elements.authMode.value = this.authMode;
+        this.elements.authMode.addEventListener('change', (e) => this.setAuthMode(e.target.value));
+        this.updateCredentialFields();
+
+        this.elements.credentialMode.value = this.credentialMode;
+        this.elements.idleLockMinutes.value = String(this.idleLockMinutes);
+        this.elements.credentialMode.addEventListener('change', (e) => this.setCredentialMode(e.target.value));
+        this.elements.idleLockMinutes.addEventListener('change', (e) => {
+            this.idleLockMinutes = Number(e.target.value);
+            localStorage.setItem('restaurantSurveyIdleLock', String(this.idleLockMinutes));
+            this.lastActivityAt = Date.now();
+        });
+        this.elements.lockNow.addEventListener('click', () => {
+            if (this.hasActiveCredentials()) {
+                this.lock();
+            } else {
+                this.showStatus('error', '当前没有已登录的凭据');
+            }
+        });
+        this.initIdleLock();
         this.elements.logoutBtn.addEventListener('click', () => {
             if (confirm('确定要退出登录吗？这将清除已保存的登录信息。')) {
                 this.clearLoginState();
             }
         });
-        this.elements.exportCSV.addEventListener('click', () => this.exportToCSV());
+        this.elements.exportCSV.addEventListener('click', () => this.openExportModal());
+        this.elements.closeExportModal.addEventListener('click', () => this.closeExportModal());
+        this.elements.cancelExport.addEventListener('click', () => this.closeExportModal());
+        this.elements.confirmExport.addEventListener('click', () => this.runExport());
+        this.elements.exportSelectAllColumns.addEventListener('click', () => this.setExportColumnsChecked(() => true));
+        this.elements.exportSelectRawColumns.addEventListener('click', () => this.setExportColumnsChecked(box => !box.dataset.kpi));
+        this.elements.layoutSelect.addEventListener('change', (e) => this.applyLayout(e.target.value));
+        this.elements.openColumnSettings.addEventListener('click', () => this.openColumnSettings());
+        this.elements.closeColumnSettings.addEventListener('click', () => this.closeColumnSettings());
+        this.elements.resetColumnSettings.addEventListener('click', () => this.renderColumnSettings({ columns: DEFAULT_TABLE_COLUMNS, widths: {} }));
+        this.elements.deleteLayout.addEventListener('click', () => this.deleteCurrentLayout());
+        this.elements.saveLayoutAs.addEventListener('click', () => this.saveLayoutAs());
+        this.elements.applyColumnSettings.addEventListener('click', () => this.applyColumnSettings());
+        this.bindColumnDragEvents();
+        this.populateLayoutSelect();
+
         this.elements.limitSelect.addEventListener('change', (e) => {
             this.limit = parseInt(e.target.value);
             this.currentPage = 1;
             this.loadSurveyData();
         });
+        this.elements.refreshData.addEventListener('click', () => this.refreshData());
+        this.elements.viewSelect.addEventListener('change', (e) => this.setView(e.target.value));
+        this.elements.bulkArchive.addEventListener('click', () => {
+            const ids = this.getSelectedIds();
+            if (this.view === 'archived') {
+                this.restoreRecords(ids);
+            } else {
+                this.archiveRecords(ids);
+            }
+        });
+        this.elements.bulkDelete.addEventListener('click', () => this.deleteRecords(this.getSelectedIds()));
+        this.elements.selectAllMatching.addEventListener('click', () => this.selectAllMatching());
+        this.elements.bulkExport.addEventListener('click', () => this.exportSelection());
+        this.elements.bulkDiagnosis.addEventListener('click', () => this.generateBatchDiagnosis());
+        this.elements.bulkTag.addEventListener('click', () => this.tagSelection());
+        this.elements.bulkCompare.addEventListener('click', () => this.compareSelectedRecords());
+        this.elements.clearSelection.addEventListener('click', () => this.clearSelection());
+        this.elements.undoButton.addEventListener('click', () => this.undoDeletion());
+        this.elements.dataContainer.addEventListener('change', (e) => {
+            if (e.target.matches('.row-select')) {
+                this.toggleRowSelection(Number(e.target.dataset.id), e.target.checked);
+            } else if (e.target.matches('#selectAllPage')) {
+                this.selectPage(e.target.checked);
+            }
+        });
+        // 撤销窗口内离开页面时提醒，避免删除请求丢失
+        window.addEventListener('beforeunload', (e) => {
+            if (this.pendingDeletion) {
+                e.preventDefault();
+                e.returnValue = '';
+            }
+        });
+        // 网络恢复后增量同步离线镜像
+        window.addEventListener('online', () => this.syncOfflineMirror());
+        // 定时刷新“数据时效”提示
+        setInterval(() => this.updateCacheIndicator(), 30000);
+        this.elements.applyFilters.addEventListener('click', () => this.applyFilters());
+        this.elements.resetFilters.addEventListener('click', () => this.resetFilters());
+        this.elements.filterKeyword.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') this.applyFilters();
+        });
         this.elements.prevPage.addEventListener('click', () => {
             this.currentPage--;
             this.loadSurveyData();
@@ -70,6 +454,14 @@ class RestaurantSurveyApp {
             this.currentPage++;
             this.loadSurveyData();
         });
+        // 表头排序与移除标签（表格每次重建，因此委托到容器上）
+        this.elements.dataContainer.addEventListener('click', (e) => {
+            const header = e.target.closest('th[data-sort]');
+            if (header) this.toggleSort(header.dataset.sort);
+
+            const removeTag = e.target.closest('button[data-remove-tag]');
+            if (removeTag) this.removeRecordTag(Number(removeTag.dataset.id), removeTag.dataset.removeTag);
+        });
         this.elements.closeModal.addEventListener('click', () => this.closeModal());
         this.elements.detailModal.addEventListener('click', (e) => {
             if (e.target === this.elements.detailModal) this.closeModal();
@@ -80,6 +472,12 @@ class RestaurantSurveyApp {
         document.addEventListener('click', (e) => {
             if (e.target.matches('.tab-button')) {
                 this.switchTab(e.target.dataset.tab);
+                if (this.currentRecord) {
+                    this.router.replace(this.getRecordRoute(this.currentRecord.id, e.target.dataset.tab));
+                }
+                if (e.target.dataset.tab === 'profile' && this.currentRecord) {
+                    this.renderStoreProfile(this.currentRecord);
+                }
             }
         });
     }
@@ -89,37 +487,215 @@ class RestaurantSurveyApp {
         this.diagnosis = new RestaurantDiagnosisAdvanced();
     }
 
-    // 保存登录状态到 localStorage
-    saveLoginState(apiUrl, adminKey) {
+    // 用诊断系统中的枚举值填充筛选下拉框，保证与诊断算法一致
+    populateFilterOptions() {
+        const options = {
+            filterBusinessType: Object.keys(this.diagnosis.industryBenchmarks),
+            filterBusinessCircle: Object.keys(this.diagnosis.businessCircleScores),
+            filterDecorationLevel: Object.keys(this.diagnosis.decorationScores)
+        };
+
+        Object.entries(options).forEach(([elementKey, values]) => {
+            const select = this.elements[elementKey];
+            values.forEach(value => select.add(new Option(value, value)));
+        });
+    }
+
+    // 读取筛选栏的当前值（忽略空值）
+    readFilters() {
+        const filters = {
+            keyword: this.elements.filterKeyword.value.trim(),
+            business_type: this.elements.filterBusinessType.value,
+            business_circle: this.elements.filterBusinessCircle.value,
+            decoration_level: this.elements.filterDecorationLevel.value,
+            start_date: this.elements.filterDateFrom.value,
+            end_date: this.elements.filterDateTo.value,
+            min_revenue: this.elements.filterRevenueMin.value,
+            max_revenue: this.elements.filterRevenueMax.value
+        };
+
+        return Object.fromEntries(Object.entries(filters).filter(([, value]) => value !== ''));
+    }
+
+    applyFilters() {
+        const filters = this.readFilters();
+
+        if (filters.start_date && filters.end_date && filters.start_date > filters.end_date) {
+            this.showStatus('error', '开始日期不能晚于结束日期');
+            return;
+        }
+        if (filters.min_revenue && filters.max_revenue && Number(filters.min_revenue) > Number(filters.max_revenue)) {
+            this.showStatus('error', '最低营收不能高于最高营收');
+            return;
+        }
+
+        // 筛选条件变化后结果集不同，必须回到第一页
+        this.filters = filters;
+        this.currentPage = 1;
+        this.loadSurveyData();
+    }
+
+    resetFilters() {
+        ['filterKeyword', 'filterBusinessType', 'filterBusinessCircle', 'filterDecorationLevel',
+         'filterDateFrom', 'filterDateTo', 'filterRevenueMin', 'filterRevenueMax'].forEach(key => {
+            this.elements[key].value = '';
+        });
+
+        this.filters = {};
+        this.currentPage = 1;
+        this.loadSurveyData();
+    }
+
+    // 筛选条件 + 当前视图（归档记录只在“已归档”视图中出现）
+    getQueryFilters() {
+        return this.view === 'archived' ? { ...this.filters, archived: 'true' } : { ...this.filters };
+    }
+
+    // 构建 /api/surveys 查询参数（分页 + 筛选），默认取当前页与当前视图的筛选条件
+    buildSurveyQuery(page = {}) {
+        const params = new URLSearchParams({
+            limit: page.limit || this.limit,
+            offset: page.offset !== undefined ? page.offset : (this.currentPage - 1) * this.limit
+        });
+
+        Object.entries(page.filters || this.getQueryFilters()).forEach(([name, value]) => params.set(name, value));
+        if (this.sort.field) {
+            params.set('sort', this.sort.field);
+            params.set('order', this.sort.order);
+        }
+        return params.toString();
+    }
+
+    // 点击同一列在降序/升序之间切换，点击新列默认降序
+    toggleSort(field) {
+        if (this.sort.field === field) {
+            this.sort.order = this.sort.order === 'desc' ? 'asc' : 'desc';
+        } else {
+            this.sort = { field, order: 'desc' };
+        }
+
+        this.saveSortState();
+        this.currentPage = 1;
+        this.loadSurveyData();
+    }
+
+    saveSortState() {
         try {
-            const loginState = {
-                apiUrl: apiUrl,
-                adminKey: adminKey,
-                timestamp: new Date().getTime()
-            };
-            localStorage.setItem('restaurantSurveyLogin', JSON.stringify(loginState));
+            localStorage.setItem(this.profileScopedKey('restaurantSurveySort'), JSON.stringify(this.sort));
+        } catch (error) {
+            console.error('保存排序状态失败:', error);
+        }
+    }
+
+    restoreSortState() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.profileScopedKey('restaurantSurveySort')));
+            if (saved && saved.field && ['asc', 'desc'].includes(saved.order)) {
+                return saved;
+            }
+        } catch (error) {
+            console.error('恢复排序状态失败:', error);
+        }
+        return { field: null, order: 'desc' };
+    }
+
+    getSortIcon(field) {
+        if (this.sort.field !== field) return 'fa-sort text-gray-300';
+        return this.sort.order === 'asc' ? 'fa-sort-up text-blue-600' : 'fa-sort-down text-blue-600';
+    }
+
+    /**
+     * 按凭据保存方式保存登录信息：
+     * session - 仅 sessionStorage；encrypted - 以口令加密后存入 localStorage；plain - 明文存入 localStorage
+     * 凭据在密钥模式下为管理员密钥，令牌模式下为刷新令牌（见 getCredential）
+     */
+    async saveLoginState(apiUrl, credential) {
+        try {
+            const loginState = { apiUrl, mode: this.credentialMode, authMode: this.authMode, timestamp: Date.now() };
+            if (this.authMode === 'token') loginState.username = this.authSession.username;
+            const secretField = this.authMode === 'token' ? 'refreshToken' : 'adminKey';
+            const digest = CredentialVault.supported ? await CredentialVault.digest(`${apiUrl}\n${credential}`) : null;
+            this.credentialDigest = digest;
+
+            if (this.credentialMode === 'encrypted' && CredentialVault.supported) {
+                // 已加密保存过同一凭据时不再要求口令
+                if (digest === this.savedCredentialDigest) return;
+
+                const passphrase = await this.requestPassphrase({
+                    title: '设置解锁口令',
+                    message: `${this.authMode === 'token' ? '登录令牌' : '管理员密钥'}将用此口令加密后保存在本机，下次打开或自动锁定后需输入口令解锁。`,
+                    confirm: true,
+                    secondaryLabel: '本次不保存'
+                });
+                if (!passphrase) {
+                    sessionStorage.setItem(this.profileScopedKey(LOGIN_STORAGE_KEY), JSON.stringify({ ...loginState, mode: 'session', [secretField]: credential }));
+                    localStorage.removeItem(this.profileScopedKey(LOGIN_STORAGE_KEY));
+                    return;
+                }
+
+                loginState.encryptedKey = await CredentialVault.encrypt(credential, passphrase);
+                localStorage.setItem(this.profileScopedKey(LOGIN_STORAGE_KEY), JSON.stringify(loginState));
+                sessionStorage.removeItem(this.profileScopedKey(LOGIN_STORAGE_KEY));
+                this.savedCredentialDigest = digest;
+            } else if (this.credentialMode === 'plain') {
+                localStorage.setItem(this.profileScopedKey(LOGIN_STORAGE_KEY), JSON.stringify({ ...loginState, [secretField]: credential }));
+                sessionStorage.removeItem(this.profileScopedKey(LOGIN_STORAGE_KEY));
+            } else {
+                sessionStorage.setItem(this.profileScopedKey(LOGIN_STORAGE_KEY), JSON.stringify({ ...loginState, mode: 'session', [secretField]: credential }));
+                localStorage.removeItem(this.profileScopedKey(LOGIN_STORAGE_KEY));
+            }
             console.log('✓ 登录状态已保存');
         } catch (error) {
             console.error('保存登录状态失败:', error);
         }
     }
 
-    // 恢复登录状态
+    getSavedLoginState() {
+        try {
+            return JSON.parse(localStorage.getItem(this.profileScopedKey(LOGIN_STORAGE_KEY)));
+        } catch (error) {
+            return null;
+        }
+    }
+
+    // 恢复登录状态：会话凭据直接恢复，加密凭据需先输入口令
     restoreLoginState() {
         try {
-            const savedState = localStorage.getItem('restaurantSurveyLogin');
+            const sessionState = sessionStorage.getItem(this.profileScopedKey(LOGIN_STORAGE_KEY));
+            const savedState = sessionState || localStorage.getItem(this.profileScopedKey(LOGIN_STORAGE_KEY));
             if (savedState) {
                 const loginState = JSON.parse(savedState);
 
-                // 检查凭据是否过期（7天有效期）
-                const daysValid = 7;
+                // 环境地址以环境配置为准：地址修改后，旧地址下保存的凭据不再使用
+                const profile = this.getActiveProfile();
+                if (profile && loginState.apiUrl !== profile.apiUrl) {
+                    localStorage.removeItem(this.profileScopedKey(LOGIN_STORAGE_KEY));
+                    sessionStorage.removeItem(this.profileScopedKey(LOGIN_STORAGE_KEY));
+                    console.log('环境地址已修改，已清除旧地址的登录凭据');
+                    return;
+                }
+
+                // 检查本机保存的凭据是否过期
+                const daysValid = LOGIN_VALID_DAYS[loginState.encryptedKey ? 'encrypted' : 'plain'];
                 const now = new Date().getTime();
                 const daysPassed = (now - loginState.timestamp) / (1000 * 60 * 60 * 24);
 
-                if (daysPassed < daysValid) {
-                    // 自动填充凭据
+                if (sessionState || daysPassed < daysValid) {
                     this.elements.apiUrl.value = loginState.apiUrl;
-                    this.elements.adminKey.value = loginState.adminKey;
+                    this.setAuthMode(loginState.authMode || 'key');
+                    if (loginState.username) {
+                        this.elements.loginUsername.value = loginState.username;
+                    }
+
+                    // 加密保存，或明文保存但锁定时已移除凭据：需解锁后继续
+                    if (loginState.encryptedKey || loginState.locked) {
+                        if (loginState.locked) this.credentialDigest = loginState.credentialDigest || null;
+                        this.lock();
+                        return;
+                    }
+
+                    // 自动填充凭据
+                    this.applyCredential(loginState.refreshToken || loginState.adminKey);
 
                     // 显示提示信息
                     this.showStatus('checking', '检测到已保存的登录信息，正在自动加载...');
@@ -132,7 +708,7 @@ class RestaurantSurveyApp {
                     console.log('✓ 已恢复登录状态');
                 } else {
                     // 凭据过期，清除
-                    localStorage.removeItem('restaurantSurveyLogin');
+                    localStorage.removeItem(this.profileScopedKey(LOGIN_STORAGE_KEY));
                     console.log('登录凭据已过期，已清除');
                 }
             }
@@ -141,211 +717,2938 @@ class RestaurantSurveyApp {
         }
     }
 
-    // 清除登录状态（用于退出登录）
-    clearLoginState() {
-        try {
-            localStorage.removeItem('restaurantSurveyLogin');
-            this.elements.apiUrl.value = '';
-            this.elements.adminKey.value = '';
-            this.currentData = [];
-            this.elements.statsSection.classList.add('hidden');
-            this.elements.paginationSection.classList.add('hidden');
-            this.elements.dataContainer.innerHTML = `
-                <div class="p-8 text-center text-gray-500">
-                    <i class="fas fa-inbox text-4xl mb-4"></i>
-                    <p>请先连接API加载数据</p>
-                </div>
-            `;
-            this.showStatus('error', '已退出登录');
-            console.log('✓ 已清除登录状态');
-        } catch (error) {
-            console.error('清除登录状态失败:', error);
+    setCredentialMode(mode) {
+        this.credentialMode = mode;
+        localStorage.setItem('restaurantSurveyCredentialMode', mode);
+
+        // 已登录时立即按新方式重新保存，并清除其他位置的旧记录
+        const apiUrl = this.elements.apiUrl.value.trim();
+        const credential = this.getCredential();
+        if (apiUrl && credential && this.dataMode === 'api') {
+            this.savedCredentialDigest = null;
+            this.saveLoginState(apiUrl, credential);
         }
     }
 
-    async loadSurveyData() {
-        const api = this.elements.apiUrl.value.trim();
-        const key = this.elements.adminKey.value.trim();
+    // ==================== 认证方式 ====================
 
-        if (!api || !key) {
-            this.showStatus('error', '请输入API地址和管理员密钥');
-            return;
+    // 切换认证方式；已登录时先退出，避免两种凭据混用
+    setAuthMode(mode) {
+        if (mode === this.authMode) return;
+        if (this.hasActiveCredentials()) {
+            this.clearLoginState();
+            this.showStatus('checking', '认证方式已切换，请重新登录');
         }
 
-        // Check cache first
-        const cacheKey = `${api}_${key}_${this.currentPage}_${this.limit}`;
-        if (this.cache.has(cacheKey)) {
-            const cachedData = this.cache.get(cacheKey);
-            this.currentData = cachedData.rows;
-            this.totalRecords = cachedData.total;
-            this.displayData();
-            this.updateStats();
-            this.updatePagination();
-            this.showStatus('connected', `从缓存加载 ${this.currentData.length} 条记录`);
-            return;
+        this.authMode = mode;
+        this.authSession = null;
+        this.setCurrentUser(null);
+        localStorage.setItem(this.profileScopedKey('surveyAuthMode'), mode);
+        this.elements.authMode.value = mode;
+        this.updateCredentialFields();
+    }
+
+    // 密钥模式显示管理员密钥输入框，令牌模式显示账号密码
+    updateCredentialFields() {
+        const isApi = this.dataMode === 'api';
+        this.elements.adminKeyField.classList.toggle('hidden', !isApi || this.authMode === 'token');
+        this.elements.tokenLoginField.classList.toggle('hidden', !isApi || this.authMode !== 'token');
+    }
+
+    getAuthHeaders() {
+        if (this.authMode === 'token') {
+            const accessToken = this.authSession && this.authSession.accessToken;
+            return accessToken ? { Authorization: `Bearer ${accessToken}` } : {};
         }
+        return { 'x-admin-key': this.elements.adminKey.value.trim() };
+    }
 
-        this.toggleLoading(true);
-        this.showStatus('checking', '正在加载数据...');
+    // 当前凭据：密钥模式为管理员密钥，令牌模式为刷新令牌（访问令牌会频繁更换，不用于缓存键与保存）
+    getCredential() {
+        if (this.authMode === 'token') {
+            return (this.authSession && this.authSession.refreshToken) || '';
+        }
+        return this.elements.adminKey.value.trim();
+    }
 
-        try {
-            const offset = (this.currentPage - 1) * this.limit;
-            const response = await fetch(`${api}/api/surveys?limit=${this.limit}&offset=${offset}`, {
-                method: 'GET',
-                headers: {
-                    'x-admin-key': key,
-                    'Content-Type': 'application/json'
-                },
-                signal: AbortSignal.timeout(30000)
-            });
+    // 放回恢复或解密得到的凭据；令牌模式下访问令牌在下次请求前重新换取
+    applyCredential(credential) {
+        if (this.authMode === 'token') {
+            this.authSession = {
+                username: this.elements.loginUsername.value.trim(),
+                accessToken: null,
+                refreshToken: credential,
+                expiresAt: 0
+            };
+        } else {
+            this.elements.adminKey.value = credential;
+        }
+    }
 
-            if (response.ok) {
-                const data = await response.json();
-                this.currentData = data.rows || [];
-                this.totalRecords = data.total || 0;
+    setAuthSession(data, username) {
+        this.authSession = {
+            username,
+            accessToken: data.access_token,
+            refreshToken: data.refresh_token || (this.authSession && this.authSession.refreshToken),
+            expiresAt: Date.now() + (data.expires_in || 900) * 1000
+        };
+        if (data.user) this.setCurrentUser(data.user);
+    }
 
-                // Cache the result
-                this.cache.set(cacheKey, data);
+    async loginWithPassword(username, password) {
+        const data = await this.api.post('/api/auth/login', { username, password }, { anonymous: true });
+        this.setAuthSession(data, username);
+        this.elements.loginPassword.value = '';
+        console.log(`✓ 已登录: ${username}`);
+    }
 
-                // 保存登录凭据到 localStorage（首次成功登录时）
-                this.saveLoginState(api, key);
+    // 令牌模式：没有会话时用账号密码登录，访问令牌缺失或即将过期时先刷新
+    async ensureAuthenticated() {
+        const session = this.authSession;
+        if (session && session.accessToken && Date.now() < session.expiresAt - 30 * 1000) return true;
+        // 刷新因网络失败时会话仍保留，继续请求以便改用离线镜像
+        if (session && session.refreshToken) {
+            await this.refreshAuthToken();
+            return Boolean(this.authSession);
+        }
 
-                this.displayData();
-                this.updateStats();
-                this.updatePagination();
-                this.showStatus('connected', `成功加载 ${this.currentData.length} 条记录`);
+        const username = this.elements.loginUsername.value.trim();
+        const password = this.elements.loginPassword.value;
+        if (!username || !password) {
+            this.showStatus('error', '请输入账号和密码');
+            return false;
+        }
 
-                this.elements.statsSection.classList.remove('hidden');
-                this.elements.paginationSection.classList.remove('hidden');
-            } else {
-                const errorData = await response.json();
-                throw new Error(errorData.error || `HTTP ${response.status}`);
+        try {
+            await this.loginWithPassword(username, password);
+            return true;
+        } catch (error) {
+            console.error('登录失败:', error);
+            this.showStatus('error', '登录失败: ' + (error.type === 'unauthorized' ? error.message : this.getErrorMessage(error)));
+            return false;
+        }
+    }
+
+    /**
+     * 刷新访问令牌（API 客户端收到 401 时调用），返回是否成功
+     * 刷新令牌被拒绝时退出登录；网络错误时保留会话，以便离线浏览
+     */
+    async refreshAuthToken() {
+        const session = this.authSession;
+        if (this.authMode !== 'token' || !session || !session.refreshToken) return false;
+
+        try {
+            const data = await this.api.post('/api/auth/refresh', { refresh_token: session.refreshToken }, { anonymous: true });
+            this.setAuthSession(data, session.username);
+            console.log('✓ 访问令牌已刷新');
+
+            // 服务端轮换了刷新令牌：按当前保存方式重新保存
+            if (this.authSession.refreshToken !== session.refreshToken) {
+                this.saveLoginState(this.elements.apiUrl.value.trim(), this.authSession.refreshToken);
             }
+            return true;
         } catch (error) {
-            console.error('加载数据失败:', error);
-            let errorMessage = '加载失败: ';
-            
-            if (error.name === 'AbortError' || error.name === 'TimeoutError') {
-                errorMessage += '请求超时';
-            } else if (error.message.includes('401')) {
-                errorMessage += '管理员密钥错误';
+            if (this.isConnectivityError(error) || error.type === 'aborted') return false;
+
+            console.error('刷新访问令牌失败:', error);
+            this.clearLoginState();
+            this.displayData();
+            this.showStatus('error', '登录已过期，请重新登录');
+            return false;
+        }
+    }
+
+    // ==================== 角色权限 ====================
+
+    /**
+     * 获取当前账号的角色（GET /api/auth/me）
+     * 不提供该接口的旧版后端（404）沿用原有行为：持有密钥即拥有全部权限
+     */
+    async loadCurrentUser() {
+        try {
+            const data = await this.api.get('/api/auth/me');
+            this.setCurrentUser(data.user || data);
+        } catch (error) {
+            if (error.status === 404) {
+                console.warn(`⚠️ 服务器未提供账号角色接口，按「${ROLE_LABELS[LEGACY_SERVER_ROLE]}」处理`);
+                this.setCurrentUser({ username: null, role: LEGACY_SERVER_ROLE });
             } else {
-                errorMessage += error.message;
+                console.warn('⚠️ 获取账号角色失败，暂按只读处理:', error);
             }
-            
-            this.showStatus('error', errorMessage);
-        } finally {
-            this.toggleLoading(false);
         }
     }
 
-    displayData() {
-        if (this.currentData.length === 0) {
-            this.elements.dataContainer.innerHTML = `
-                <div class="p-8 text-center text-gray-500">
-                    <i class="fas fa-inbox text-4xl mb-4"></i>
-                    <p>暂无数据</p>
-                </div>
-            `;
-            return;
+    setCurrentUser(user) {
+        this.currentUser = user;
+        this.applyRole(user && ROLE_PERMISSIONS[user.role] ? user.role : 'viewer');
+    }
+
+    applyRole(role) {
+        this.role = role;
+        document.body.dataset.role = role;
+
+        const user = this.currentUser;
+        this.elements.roleBadge.classList.toggle('hidden', !user);
+        this.elements.roleBadge.innerHTML = user
+            ? `<i class="fas fa-user mr-1"></i>${user.username ? `${this.escapeHTML(user.username)} · ` : ''}${ROLE_LABELS[role]}`
+            : '';
+
+        this.applyReportPermissions();
+    }
+
+    can(permission) {
+        return (ROLE_PERMISSIONS[this.role] || []).includes(permission);
+    }
+
+    // 操作入口处的权限校验（按钮已按角色隐藏，这里防止通过路由或控制台绕过）
+    requirePermission(permission) {
+        if (this.can(permission)) return true;
+        this.showStatus('error', `当前角色（${ROLE_LABELS[this.role]}）无权执行此操作`);
+        return false;
+    }
+
+    // 诊断报告中的富文本编辑器：只读角色不可编辑（按钮与工具栏由样式隐藏）
+    applyReportPermissions() {
+        const editable = this.can('edit');
+        this.elements.diagnosisContent.querySelectorAll('[contenteditable]').forEach(editor => {
+            editor.setAttribute('contenteditable', editable ? 'true' : 'false');
+        });
+    }
+
+    // ==================== 审计日志 ====================
+
+    getAuditActor() {
+        return (this.currentUser && this.currentUser.username) ||
+            localStorage.getItem('restaurantSurveyActor') ||
+            '未知';
+    }
+
+    /**
+     * 记录审计事件（上传失败或离线时由 AuditLogger 排队补发）
+     * @param {string} action - AUDIT_ACTION_LABELS 中的类型
+     * @param {string|number|null} targetId
+     * @param {Object} [change] - { before, after } 操作前后的摘要
+     */
+    audit(action, targetId, change = {}) {
+        this.auditLog.record({
+            actor: this.getAuditActor(),
+            role: this.role,
+            action,
+            target_id: targetId === undefined ? null : targetId,
+            before: change.before || null,
+            after: change.after || null,
+            source: this.getAuditSource()
+        });
+    }
+
+    getAuditSource() {
+        return this.dataMode === 'api' ? this.elements.apiUrl.value.trim() : AUDIT_LOCAL_SOURCE;
+    }
+
+    // 为操作成功的记录逐条写审计事件
+    auditRecords(action, ids, failed, change = {}) {
+        ids.filter(id => !failed.includes(id)).forEach(id => this.audit(action, id, change));
+    }
+
+    openAuditLog() {
+        if (!this.requirePermission('audit')) return;
+        this.elements.auditModal.classList.add('active');
+        this.loadAuditLog();
+    }
+
+    getAuditFilters() {
+        return {
+            actor: this.elements.auditActor.value.trim(),
+            action: this.elements.auditAction.value,
+            target_id: this.elements.auditTarget.value.trim(),
+            start_date: this.elements.auditStartDate.value,
+            end_date: this.elements.auditEndDate.value
+        };
+    }
+
+    // 本地队列中尚未上传的事件也参与筛选，离线时仍可查看本机操作
+    filterAuditEvents(events, filters) {
+        return events.filter(event => {
+            if (filters.actor && !String(event.actor || '').includes(filters.actor)) return false;
+            if (filters.action && event.action !== filters.action) return false;
+            if (filters.target_id && String(event.target_id) !== filters.target_id) return false;
+            const at = new Date(event.timestamp).getTime();
+            if (filters.start_date && at < new Date(`${filters.start_date}T00:00:00`).getTime()) return false;
+            if (filters.end_date && at > new Date(`${filters.end_date}T23:59:59.999`).getTime()) return false;
+            return true;
+        });
+    }
+
+    async loadAuditLog() {
+        const filters = this.getAuditFilters();
+        // 只显示当前环境（或本地文件）产生的待上传事件
+        const queued = this.auditLog.getQueue().filter(event => event.source === this.getAuditSource());
+        const pending = this.filterAuditEvents(queued, filters).map(event => ({ ...event, pending: true }));
+        let remote = [];
+        let total = 0;
+        let remoteError = null;
+
+        this.elements.auditContent.innerHTML = '<p class="text-sm text-gray-500">加载中...</p>';
+        if (this.dataMode === 'api') {
+            try {
+                const query = Object.fromEntries(Object.entries(filters).filter(([, value]) => value));
+                const data = await this.api.get('/api/audit', { query: { ...query, limit: 200 } });
+                remote = data.rows || [];
+                total = data.total || remote.length;
+            } catch (error) {
+                console.error('加载审计日志失败:', error);
+                remoteError = error;
+            }
         }
 
-        // Use DocumentFragment for better performance
-        const fragment = document.createDocumentFragment();
-        const table = document.createElement('table');
-        table.className = 'data-table w-full';
+        const events = [...pending, ...remote]
+            .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+        this.elements.auditSummary.textContent = [
+            remoteError ? `服务器日志加载失败: ${this.getErrorMessage(remoteError)}` : `服务器 ${total} 条（显示最近 ${remote.length} 条）`,
+            `本机待上传 ${pending.length} 条`
+        ].join('，');
+        this.renderAuditLog(events);
+    }
 
-        // Create table header
-        const thead = document.createElement('thead');
-        thead.innerHTML = `
-            <tr>
-                <th>ID</th>
-                <th>提交时间</th>
-                <th>门店识别码</th>
-                <th>门店名称</th>
-                <th>业态类型</th>
-                <th>月营收</th>
-                <th>日均客流</th>
-                <th>更新次数</th>
-                <th>操作</th>
-            </tr>
+    formatAuditChange(change) {
+        if (!change) return '';
+        return Object.entries(change)
+            .map(([key, value]) => `${this.escapeHTML(key)}: ${this.escapeHTML(typeof value === 'object' ? JSON.stringify(value) : value)}`)
+            .join('<br>');
+    }
+
+    renderAuditLog(events) {
+        if (events.length === 0) {
+            this.elements.auditContent.innerHTML = '<p class="text-sm text-gray-500">没有符合条件的审计事件</p>';
+            return;
+        }
+
+        this.elements.auditContent.innerHTML = `
+            <table class="health-table text-sm">
+                <thead>
+                    <tr><th>时间</th><th>操作人</th><th>操作</th><th>对象</th><th>操作前</th><th>操作后</th></tr>
+                </thead>
+                <tbody>
+                    ${events.map(event => `
+                        <tr>
+                            <td class="whitespace-nowrap">
+                                ${new Date(event.timestamp).toLocaleString('zh-CN')}
+                                ${event.pending ? '<span class="ml-1 px-1 bg-yellow-100 text-yellow-800 rounded text-xs">待上传</span>' : ''}
+                            </td>
+                            <td>${this.escapeHTML(event.actor || '-')}</td>
+                            <td>${AUDIT_ACTION_LABELS[event.action] || this.escapeHTML(event.action)}</td>
+                            <td>${event.target_id === null || event.target_id === undefined ? '-' : this.escapeHTML(event.target_id)}</td>
+                            <td class="text-gray-600">${this.formatAuditChange(event.before)}</td>
+                            <td class="text-gray-600">${this.formatAuditChange(event.after)}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
         `;
-        table.appendChild(thead);
+    }
 
-        // Create table body with optimized rendering
-        const tbody = document.createElement('tbody');
-        this.currentData.forEach(record => {
-            const row = document.createElement('tr');
-            row.innerHTML = `
-                <td>${record.id}</td>
-                <td>${this.formatDate(record.timestamp)}</td>
-                <td><span class="font-mono text-blue-600">${record.store_identifier || '-'}</span></td>
-                <td>${record.store_name || '-'}</td>
-                <td>${record.business_type || '-'}</td>
-                <td>${this.formatNumber(record.monthly_revenue)}</td>
-                <td>${record.daily_customers || '-'}</td>
-                <td><span class="px-2 py-1 bg-blue-100 text-blue-800 rounded text-xs">${record.update_count || 0}次</span></td>
-                <td>
-                    <button onclick="app.viewRecord(${record.id})" class="text-blue-500 hover:text-blue-700 mr-2" title="查看详情">
-                        <i class="fas fa-eye"></i>
-                    </button>
-                    <button onclick="app.viewDiagnosis(${record.id})" class="text-purple-500 hover:text-purple-700" title="AI诊断">
-                        <i class="fas fa-stethoscope"></i>
-                    </button>
-                </td>
-            `;
-            tbody.appendChild(row);
-        });
-        table.appendChild(tbody);
-        fragment.appendChild(table);
+    // ==================== 重复提交 ====================
 
-        this.elements.dataContainer.innerHTML = '';
-        this.elements.dataContainer.appendChild(fragment);
+    // 已忽略的疑似重复组（按组内记录 id 记录，组成员变化后会重新出现）
+    getDismissedDuplicates() {
+        try {
+            return JSON.parse(localStorage.getItem(this.profileScopedKey('surveyDismissedDuplicates'))) || [];
+        } catch (error) {
+            return [];
+        }
     }
 
-    viewRecord(id) {
-        const record = this.currentData.find(r => r.id === id);
-        if (!record) return;
-        this.currentRecord = record;
+    saveDismissedDuplicates(keys) {
+        localStorage.setItem(this.profileScopedKey('surveyDismissedDuplicates'), JSON.stringify(keys));
+    }
 
-        document.getElementById('modalTitle').textContent = '数据详情';
-        this.switchTab('details');
-        this.elements.exportImageBtn.classList.add('hidden');
+    openDuplicateReview() {
+        if (!this.requirePermission('manage')) return;
+        this.elements.duplicateModal.classList.add('active');
+        this.scanDuplicates();
+    }
 
-        this.renderDetailsContent(record);
-        this.elements.detailModal.classList.add('active');
+    // 在全部未归档记录中检测，不受当前视图与筛选条件影响
+    async scanDuplicates() {
+        this.elements.duplicateSummary.textContent = '';
+        this.elements.duplicateContent.innerHTML = '<p class="text-sm text-gray-500">正在加载记录...</p>';
+
+        try {
+            const records = await this.fetchAllMatchingRecords((loaded, total) => {
+                this.elements.duplicateContent.innerHTML = `<p class="text-sm text-gray-500">正在加载记录 (${loaded}/${total})...</p>`;
+            }, { filters: {} });
+            const dismissed = new Set(this.getDismissedDuplicates());
+            // 只剩一条未归档记录的组已处理过，不再显示
+            const clusters = this.duplicateDetector.detect(records)
+                .filter(cluster => cluster.records.filter(record => !record.archived).length > 1);
+            this.duplicateClusters = clusters.filter(cluster => !dismissed.has(cluster.key));
+
+            const hidden = clusters.length - this.duplicateClusters.length;
+            this.elements.duplicateSummary.textContent =
+                `已检查 ${records.length} 条记录，发现 ${this.duplicateClusters.length} 组疑似重复${hidden > 0 ? `（另有 ${hidden} 组已忽略）` : ''}`;
+            this.renderDuplicateClusters();
+        } catch (error) {
+            console.error('检测重复提交失败:', error);
+            this.elements.duplicateContent.innerHTML = `<p class="text-sm text-red-600">加载记录失败: ${this.escapeHTML(this.getErrorMessage(error))}</p>`;
+        }
     }
 
-    viewDiagnosis(id) {
-        const record = this.currentData.find(r => r.id === id);
-        if (!record) return;
-        this.currentRecord = record;
+    renderDuplicateClusters() {
+        if (this.duplicateClusters.length === 0) {
+            this.elements.duplicateContent.innerHTML = '<p class="text-sm text-gray-500">没有需要处理的疑似重复记录</p>';
+            return;
+        }
 
-        document.getElementById('modalTitle').textContent = 'AI诊断报告';
-        this.switchTab('diagnosis');
-        this.elements.exportImageBtn.classList.remove('hidden');
+        this.elements.duplicateContent.innerHTML = this.duplicateClusters.map((cluster, index) => {
+            const type = DUPLICATE_TYPE_LABELS[cluster.type];
+            const primaryId = this.getDefaultDuplicatePrimary(cluster).id;
+            return `
+                <div class="border border-gray-200 rounded-md p-4" data-duplicate-key="${cluster.key}">
+                    <div class="flex justify-between items-center mb-2">
+                        <span class="px-2 py-0.5 rounded text-xs bg-${type.color}-100 text-${type.color}-800">${type.label}</span>
+                        <div class="flex gap-2 text-sm">
+                            <button onclick="app.mergeDuplicateCluster('${cluster.key}')" class="px-3 py-1 bg-blue-600 text-white rounded-md hover:bg-blue-700" title="用其他记录补全保留记录的空字段，然后归档其他记录">
+                                <i class="fas fa-compress-alt mr-1"></i>合并
+                            </button>
+                            <button onclick="app.archiveDuplicateCluster('${cluster.key}')" class="px-3 py-1 border border-gray-300 rounded-md hover:bg-gray-50" title="只保留选中的记录，归档其他记录">
+                                <i class="fas fa-archive mr-1"></i>归档其他
+                            </button>
+                            <button onclick="app.dismissDuplicateCluster('${cluster.key}')" class="px-3 py-1 border border-gray-300 rounded-md hover:bg-gray-50" title="不是重复提交，不再提示">
+                                <i class="fas fa-eye-slash mr-1"></i>忽略
+                            </button>
+                        </div>
+                    </div>
+                    <table class="health-table text-sm">
+                        <thead>
+                            <tr><th>保留</th><th>ID</th><th>门店名称</th><th>识别码</th><th>提交时间</th><th>月营业收入</th><th>总客流</th><th>状态</th></tr>
+                        </thead>
+                        <tbody>
+                            ${cluster.records.map(record => `
+                                <tr>
+                                    <td><input type="radio" name="duplicatePrimary${index}" value="${record.id}" ${record.id === primaryId ? 'checked' : ''}></td>
+                                    <td><a href="#" onclick="app.viewRecord(${record.id}); return false;" class="text-blue-600 hover:underline">${record.id}</a></td>
+                                    <td>${this.escapeHTML(record.store_name || '-')}</td>
+                                    <td>${this.escapeHTML(record.store_identifier || '-')}</td>
+                                    <td class="whitespace-nowrap">${this.formatDate(record.timestamp)}</td>
+                                    <td>¥${this.formatNumber(record.monthly_revenue)}</td>
+                                    <td>${this.formatNumber(record.total_customers)}</td>
+                                    <td>${record.archived ? '<span class="text-gray-500">已归档</span>' : '正常'}</td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                </div>
+            `;
+        }).join('');
+    }
+
+    // 默认保留最近一次提交
+    getDefaultDuplicatePrimary(cluster) {
+        return cluster.records[cluster.records.length - 1];
+    }
+
+    // 返回组、选中的保留记录与其余记录
+    getDuplicateSelection(key) {
+        const cluster = this.duplicateClusters.find(c => c.key === key);
+        if (!cluster) return null;
+
+        const container = [...this.elements.duplicateContent.querySelectorAll('[data-duplicate-key]')]
+            .find(el => el.dataset.duplicateKey === key);
+        const checked = container && container.querySelector('input[type="radio"]:checked');
+        const primary = (checked && cluster.records.find(record => String(record.id) === checked.value)) ||
+            this.getDefaultDuplicatePrimary(cluster);
+        return { cluster, primary, others: cluster.records.filter(record => record !== primary) };
+    }
+
+    removeDuplicateCluster(key) {
+        this.duplicateClusters = this.duplicateClusters.filter(cluster => cluster.key !== key);
+        this.renderDuplicateClusters();
+    }
+
+    // 合并：用其他记录（较新的优先）补全保留记录中为空的字段，再归档其他记录
+    async mergeDuplicateCluster(key) {
+        if (!this.requirePermission('manage')) return;
+        const selection = this.getDuplicateSelection(key);
+        if (!selection) return;
+        const { primary, others } = selection;
+
+        const isEmpty = value => value === null || value === undefined || String(value).trim() === '';
+        const changes = [];
+        this.getImportFields().filter(field => !field.readOnly).forEach(field => {
+            if (!isEmpty(primary[field.key])) return;
+            const source = [...others].reverse().find(record => !isEmpty(record[field.key]));
+            if (source) {
+                changes.push({ field: field.key, label: field.label, from: primary[field.key] ?? null, to: source[field.key] });
+            }
+        });
+
+        const otherIds = others.map(record => record.id);
+        if (!confirm(`保留记录 ${primary.id}，${changes.length > 0 ? `从其他记录补全 ${changes.length} 个空字段，` : ''}并归档记录 ${otherIds.join(', ')}？`)) {
+            return;
+        }
+
+        if (changes.length > 0) {
+            const actor = this.getActorName();
+            if (!actor) return;
+
+            const reason = `合并重复提交（${otherIds.join(', ')}）`;
+            const updates = Object.fromEntries(changes.map(change => [change.field, change.to]));
+            try {
+                let updated = { ...primary, ...updates };
+                if (this.dataMode === 'api') {
+                    const response = await this.api.put(`/api/surveys/${primary.id}`, {
+                        updates,
+                        changes: changes.map(({ field, from, to }) => ({ field, from, to })),
+                        changed_by: actor,
+                        reason
+                    });
+                    updated = { ...updated, ...((response && response.row) || {}) };
+                }
+                this.applyRecordUpdate(primary.id, updated);
+                this.recordEditHistory(primary.id, { actor, reason, changes, at: new Date().toISOString() });
+            } catch (error) {
+                console.error('合并重复记录失败:', error);
+                alert('❌ 合并失败: ' + this.getErrorMessage(error));
+                return;
+            }
+        }
+
+        this.audit('duplicate.merge', primary.id, {
+            before: { duplicates: otherIds },
+            after: { filled: changes.map(change => change.field) }
+        });
+        await this.archiveDuplicateRecords(key, others);
+    }
+
+    async archiveDuplicateCluster(key) {
+        if (!this.requirePermission('manage')) return;
+        const selection = this.getDuplicateSelection(key);
+        if (!selection) return;
+
+        const ids = selection.others.filter(record => !record.archived).map(record => record.id);
+        if (ids.length > 0 && !confirm(`保留记录 ${selection.primary.id}，归档记录 ${ids.join(', ')}？`)) {
+            return;
+        }
+        await this.archiveDuplicateRecords(key, selection.others);
+    }
+
+    // 归档组内其他记录；有失败时保留该组并标出已归档的记录，便于重试
+    async archiveDuplicateRecords(key, records) {
+        const pending = records.filter(record => !record.archived);
+        const failed = await this.archiveRecords(pending.map(record => record.id));
+        pending.filter(record => !failed.includes(record.id)).forEach(record => { record.archived = true; });
+
+        if (failed.length > 0) {
+            this.renderDuplicateClusters();
+        } else {
+            this.removeDuplicateCluster(key);
+        }
+    }
+
+    dismissDuplicateCluster(key) {
+        if (!this.requirePermission('manage')) return;
+        const selection = this.getDuplicateSelection(key);
+        if (!selection) return;
+
+        this.saveDismissedDuplicates([...new Set([...this.getDismissedDuplicates(), key])]);
+        this.audit('duplicate.dismiss', selection.primary.id, {
+            after: { records: selection.cluster.ids, type: selection.cluster.type }
+        });
+        this.removeDuplicateCluster(key);
+    }
+
+    // ==================== 环境配置 ====================
+
+    loadProfiles() {
+        try {
+            const profiles = JSON.parse(localStorage.getItem('surveyConnectionProfiles') || '[]');
+            return Array.isArray(profiles) ? profiles : [];
+        } catch (error) {
+            console.warn('⚠️ 读取环境配置失败:', error);
+            return [];
+        }
+    }
+
+    saveProfiles() {
+        localStorage.setItem('surveyConnectionProfiles', JSON.stringify(this.profiles));
+    }
+
+    getActiveProfile() {
+        return this.profiles.find(profile => profile.id === this.activeProfileId) || null;
+    }
+
+    // 按环境区分的存储键（未选择环境时沿用原有的全局键）
+    profileScopedKey(baseKey, profileId = this.activeProfileId) {
+        return profileId ? `${baseKey}:${profileId}` : baseKey;
+    }
+
+    // 按数据源区分的存储键：记录 id 只在同一数据源（API 地址或本地文件）内唯一
+    sourceScopedKey(baseKey) {
+        return `${baseKey}:${this.getAuditSource()}`;
+    }
+
+    populateProfileSelect() {
+        this.elements.profileSelect.innerHTML = `
+            <option value="">手动连接</option>
+            ${this.profiles.map(profile => `<option value="${profile.id}">${this.escapeHTML(profile.name)}</option>`).join('')}
+        `;
+        this.elements.profileSelect.value = this.activeProfileId;
+    }
+
+    // 环境颜色标签：页头色条、名称徽标与页面标题前缀
+    applyProfileAppearance() {
+        const profile = this.getActiveProfile();
+        const color = profile ? (PROFILE_COLORS[profile.color] || PROFILE_COLORS.gray).hex : 'transparent';
+
+        this.elements.appHeader.style.borderTopColor = color;
+        this.elements.profileBadge.classList.toggle('hidden', !profile);
+        this.elements.profileBadge.style.backgroundColor = color;
+        this.elements.profileBadge.textContent = profile ? profile.name : '';
+        document.title = (profile ? `[${profile.name}] ` : '') + document.title.replace(/^\[[^\]]*\] /, '');
+
+        // 选择环境后 API 地址由环境决定，只能在环境管理中修改
+        this.elements.apiUrl.readOnly = Boolean(profile);
+        this.elements.apiUrl.classList.toggle('bg-gray-100', Boolean(profile));
+        if (profile) this.elements.apiUrl.value = profile.apiUrl;
+    }
+
+    // 切换环境：清空当前数据，按新环境恢复凭据、布局与缓存
+    switchProfile(profileId) {
+        if (this.pendingDeletion) this.commitDeletion();
+        this.api.cancel('surveyPage');
+
+        this.activeProfileId = profileId;
+        localStorage.setItem('surveyActiveProfile', profileId);
+        this.credentialDigest = null;
+        this.savedCredentialDigest = null;
+
+        this.hideModal();
+        this.clearSelection();
+        this.currentData = [];
+        this.totalRecords = 0;
+        this.currentPage = 1;
+        this.dataSource = null;
+        this.hideOfflineBanner();
+        this.updateCacheIndicator();
+        this.elements.statsSection.classList.add('hidden');
+        this.elements.paginationSection.classList.add('hidden');
+        this.elements.dataContainer.innerHTML = `
+            <div class="p-8 text-center text-gray-500">
+                <i class="fas fa-inbox text-4xl mb-4"></i>
+                <p>请先连接API加载数据</p>
+            </div>
+        `;
+
+        const profile = this.getActiveProfile();
+        this.elements.apiUrl.value = profile ? profile.apiUrl : '';
+        this.elements.adminKey.value = '';
+        this.elements.loginPassword.value = '';
+        this.authSession = null;
+        this.setCurrentUser(null);
+        this.authMode = localStorage.getItem(this.profileScopedKey('surveyAuthMode')) || 'key';
+        this.elements.authMode.value = this.authMode;
+        this.sort = this.restoreSortState();
+        this.tableLayout = this.restoreTableLayout();
+        this.populateLayoutSelect();
+        this.populateProfileSelect();
+        this.applyProfileAppearance();
+
+        // 环境只适用于 API 数据源
+        if (this.dataMode !== 'api') {
+            this.dataMode = 'api';
+            this.elements.dataSourceSelect.value = 'api';
+            this.elements.fileSourceField.classList.add('hidden');
+            this.elements.apiUrlField.classList.remove('hidden');
+        }
+        this.updateCredentialFields();
+
+        this.restoreLoginState();
+        if (!this.getCredential() && !this.locked) {
+            const hint = this.authMode === 'token' ? '请登录' : '请输入管理员密钥';
+            this.showStatus('checking', `已切换到${profile ? `「${profile.name}」` : '手动连接'}，${hint}`);
+        }
+    }
+
+    openProfileModal() {
+        this.renderProfileList();
+        if (!this.activeProfileId) {
+            this.elements.newProfileUrl.value = this.elements.apiUrl.value.trim();
+        }
+        this.elements.profileModal.classList.add('active');
+    }
+
+    closeProfileModal() {
+        this.elements.profileModal.classList.remove('active');
+    }
+
+    renderProfileList() {
+        if (this.profiles.length === 0) {
+            this.elements.profileList.innerHTML = '<p class="text-sm text-gray-500">尚未添加环境。添加后可在页头快速切换。</p>';
+            return;
+        }
+
+        this.elements.profileList.innerHTML = `
+            <table class="health-table">
+                <thead>
+                    <tr><th>名称</th><th>API 地址</th><th>颜色</th><th></th></tr>
+                </thead>
+                <tbody>
+                    ${this.profiles.map(profile => `
+                        <tr data-profile-id="${profile.id}">
+                            <td><input type="text" data-field="name" value="${this.escapeHTML(profile.name)}" class="w-full px-2 py-1 border border-gray-300 rounded-md"></td>
+                            <td><input type="text" data-field="apiUrl" value="${this.escapeHTML(profile.apiUrl)}" class="w-full px-2 py-1 border border-gray-300 rounded-md"></td>
+                            <td>
+                                <select data-field="color" class="px-2 py-1 border border-gray-300 rounded-md">
+                                    ${Object.entries(PROFILE_COLORS).map(([value, color]) => `
+                                        <option value="${value}" ${profile.color === value ? 'selected' : ''}>${color.label}</option>
+                                    `).join('')}
+                                </select>
+                            </td>
+                            <td>
+                                <button onclick="app.deleteProfile('${profile.id}')" class="text-red-400 hover:text-red-600" title="删除环境">
+                                    <i class="fas fa-trash"></i>
+                                </button>
+                            </td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+
+    addProfile() {
+        const name = this.elements.newProfileName.value.trim();
+        const apiUrl = this.elements.newProfileUrl.value.trim();
+        if (!name || !apiUrl) {
+            alert('请填写环境名称和 API 地址');
+            return;
+        }
+        if (this.profiles.some(profile => profile.name === name)) {
+            alert(`环境「${name}」已存在`);
+            return;
+        }
+
+        const profile = { id: `p${Date.now().toString(36)}`, name, apiUrl, color: this.elements.newProfileColor.value };
+        this.profiles.push(profile);
+        this.saveProfiles();
+        this.elements.newProfileName.value = '';
+        this.elements.newProfileUrl.value = '';
+        this.closeProfileModal();
+        this.switchProfile(profile.id);
+    }
+
+    updateProfile(profileId, field, value) {
+        const profile = this.profiles.find(p => p.id === profileId);
+        if (!profile || (field !== 'color' && !value)) return;
+
+        const urlChanged = field === 'apiUrl' && profile.apiUrl !== value;
+        profile[field] = value;
+        this.saveProfiles();
+        this.populateProfileSelect();
+
+        // 改了地址：旧地址下保存的凭据不能用于新地址，需重新登录
+        if (urlChanged) {
+            localStorage.removeItem(this.profileScopedKey(LOGIN_STORAGE_KEY, profileId));
+            sessionStorage.removeItem(this.profileScopedKey(LOGIN_STORAGE_KEY, profileId));
+        }
+
+        if (profileId === this.activeProfileId) {
+            // 当前环境改了地址：退出旧地址的登录并清除其缓存
+            if (urlChanged) {
+                this.clearLoginState();
+                this.showStatus('checking', '环境地址已修改，请重新登录');
+            }
+            this.applyProfileAppearance();
+        }
+    }
+
+    deleteProfile(profileId) {
+        const profile = this.profiles.find(p => p.id === profileId);
+        if (!profile || !confirm(`确定要删除环境「${profile.name}」吗？该环境保存的登录信息与表格布局也会被清除。`)) return;
+
+        [LOGIN_STORAGE_KEY, 'surveyTableLayout', 'surveyTableLayouts', 'restaurantSurveySort'].forEach(baseKey => {
+            localStorage.removeItem(this.profileScopedKey(baseKey, profileId));
+            sessionStorage.removeItem(this.profileScopedKey(baseKey, profileId));
+        });
+        this.profiles = this.profiles.filter(p => p.id !== profileId);
+        this.saveProfiles();
+
+        if (profileId === this.activeProfileId) {
+            this.switchProfile('');
+        } else {
+            this.populateProfileSelect();
+        }
+        this.renderProfileList();
+    }
+
+    // ==================== 空闲锁定 ====================
+
+    initIdleLock() {
+        const markActive = () => { this.lastActivityAt = Date.now(); };
+        ['mousemove', 'keydown', 'click', 'scroll', 'touchstart'].forEach(type => {
+            document.addEventListener(type, markActive, { passive: true, capture: true });
+        });
+        setInterval(() => this.checkIdle(), 30 * 1000);
+        // 休眠或切到后台时计时器可能暂停，回到页面立即检查
+        document.addEventListener('visibilitychange', () => {
+            if (!document.hidden) this.checkIdle();
+        });
+    }
+
+    hasActiveCredentials() {
+        return this.dataMode === 'api' && Boolean(this.getCredential());
+    }
+
+    checkIdle() {
+        if (this.locked || !this.idleLockMinutes || !this.hasActiveCredentials()) return;
+        if (Date.now() - this.lastActivityAt >= this.idleLockMinutes * 60 * 1000) {
+            this.lock();
+        }
+    }
+
+    // 锁定：清除内存中的密钥与已加载数据，直到重新输入口令（未加密保存时为管理员密钥）
+    lock() {
+        if (this.locked) return;
+        this.locked = true;
+
+        this.api.cancel('surveyPage');
+        this.elements.adminKey.value = '';
+        this.authSession = null;
+        this.setCurrentUser(null);
+        sessionStorage.removeItem(this.profileScopedKey(LOGIN_STORAGE_KEY));
+        // 明文保存的凭据一并移除（只留摘要用于校验），否则刷新页面即可绕过锁定；解锁后重新保存
+        const saved = this.getSavedLoginState();
+        if (saved && !saved.encryptedKey && (saved.adminKey || saved.refreshToken)) {
+            const { adminKey, refreshToken, ...rest } = saved;
+            localStorage.setItem(this.profileScopedKey(LOGIN_STORAGE_KEY), JSON.stringify({
+                ...rest, locked: true, credentialDigest: this.credentialDigest
+            }));
+        }
+        this.cache.clear();
+        // 离线镜像是明文保存的调查数据，锁定期间不留在本机；解锁后重新同步
+        const source = this.elements.apiUrl.value.trim();
+        if (source && this.offlineStore.supported) {
+            this.offlineStore.clear(source).catch(error => console.warn('⚠️ 清除离线镜像失败:', error));
+        }
+        this.hideOfflineBanner();
+        this.currentData = [];
+        this.totalRecords = 0;
+        this.currentRecord = null;
+        this.clearSelection();
+        this.hideModal();
+        this.elements.statsSection.classList.add('hidden');
+        this.elements.paginationSection.classList.add('hidden');
+        this.elements.dataContainer.innerHTML = `
+            <div class="p-8 text-center text-gray-500">
+                <i class="fas fa-lock text-4xl mb-4"></i>
+                <p>已锁定，请解锁后继续</p>
+            </div>
+        `;
+        this.showStatus('checking', '已锁定');
+        console.log('✓ 已锁定，凭据已从内存中清除');
+
+        this.promptUnlock();
+    }
+
+    async promptUnlock() {
+        const saved = this.getSavedLoginState();
+        const profile = this.getActiveProfile();
+        const encrypted = saved && saved.encryptedKey && (!profile || saved.apiUrl === profile.apiUrl) ? saved : null;
+        let adminKey = null;
+
+        const tokenMode = this.authMode === 'token';
+        const value = await this.requestPassphrase({
+            title: '已锁定',
+            message: encrypted ? '请输入解锁口令' : (tokenMode ? '请重新输入登录密码' : '请重新输入管理员密钥'),
+            placeholder: encrypted ? '解锁口令' : (tokenMode ? '登录密码' : '管理员密钥'),
+            secondaryLabel: '退出登录',
+            validate: async input => {
+                if (encrypted) {
+                    try {
+                        adminKey = await CredentialVault.decrypt(encrypted.encryptedKey, input);
+                        return null;
+                    } catch (error) {
+                        return '口令错误';
+                    }
+                }
+                // 令牌模式：重新登录，成功后会话已就绪
+                if (tokenMode) {
+                    try {
+                        await this.loginWithPassword(this.elements.loginUsername.value.trim(), input);
+                        return null;
+                    } catch (error) {
+                        return error.type === 'unauthorized' ? '密码错误' : this.getErrorMessage(error);
+                    }
+                }
+                // 没有摘要时无法在本机校验，不能凭任意输入解锁
+                if (!this.credentialDigest) {
+                    return '无法校验管理员密钥，请退出登录后重新连接';
+                }
+                const apiUrl = this.elements.apiUrl.value.trim();
+                if (this.credentialDigest !== await CredentialVault.digest(`${apiUrl}\n${input}`)) {
+                    return '管理员密钥错误';
+                }
+                adminKey = input;
+                return null;
+            }
+        });
+
+        this.locked = false;
+        this.lastActivityAt = Date.now();
+
+        if (value === null) {
+            this.clearLoginState();
+            return;
+        }
+
+        if (adminKey !== null) this.applyCredential(adminKey);
+        if (encrypted) {
+            this.elements.apiUrl.value = encrypted.apiUrl;
+            this.savedCredentialDigest = await CredentialVault.digest(`${encrypted.apiUrl}\n${adminKey}`);
+        }
+        this.showStatus('connected', '已解锁');
+        this.loadSurveyData();
+        this.syncOfflineMirror();
+
+        // 通过深链接打开页面时，解锁后再打开对应记录
+        if (this.router.match(this.router.current.path)) {
+            this.router.resolve();
+        }
+    }
+
+    /**
+     * 口令输入框，返回输入值；点击次要按钮时返回 null
+     * @param {Object} options
+     * @param {string} options.title
+     * @param {string} options.message
+     * @param {string} [options.placeholder]
+     * @param {boolean} [options.confirm] - 需要再次输入确认（设置新口令）
+     * @param {string} [options.secondaryLabel]
+     * @param {Function} [options.validate] - async (value) => 错误信息 | null
+     */
+    requestPassphrase(options) {
+        const el = this.elements;
+        el.passphraseTitle.textContent = options.title;
+        el.passphraseMessage.textContent = options.message;
+        el.passphraseInput.value = '';
+        el.passphraseInput.placeholder = options.placeholder || '口令';
+        el.passphraseConfirm.value = '';
+        el.passphraseConfirm.classList.toggle('hidden', !options.confirm);
+        el.passphraseSecondary.textContent = options.secondaryLabel || '取消';
+        el.passphraseError.classList.add('hidden');
+        el.passphraseDialog.classList.remove('hidden');
+        el.passphraseInput.focus();
+
+        const showError = message => {
+            el.passphraseError.textContent = message;
+            el.passphraseError.classList.remove('hidden');
+        };
+
+        return new Promise(resolve => {
+            const finish = value => {
+                el.passphraseForm.removeEventListener('submit', onSubmit);
+                el.passphraseSecondary.removeEventListener('click', onSecondary);
+                el.passphraseDialog.classList.add('hidden');
+                el.passphraseInput.value = '';
+                el.passphraseConfirm.value = '';
+                resolve(value);
+            };
+
+            const onSubmit = async (e) => {
+                e.preventDefault();
+                const value = el.passphraseInput.value;
+                if (!value) return showError('请输入口令');
+                if (options.confirm && value.length < 6) return showError('口令至少 6 位');
+                if (options.confirm && value !== el.passphraseConfirm.value) return showError('两次输入的口令不一致');
+
+                if (options.validate) {
+                    el.passphraseSubmit.disabled = true;
+                    const error = await options.validate(value);
+                    el.passphraseSubmit.disabled = false;
+                    if (error) {
+                        el.passphraseInput.select();
+                        return showError(error);
+                    }
+                }
+                finish(value);
+            };
+            const onSecondary = () => finish(null);
+
+            el.passphraseForm.addEventListener('submit', onSubmit);
+            el.passphraseSecondary.addEventListener('click', onSecondary);
+        });
+    }
+
+    // 清除登录状态（用于退出登录）
+    clearLoginState() {
+        try {
+            localStorage.removeItem(this.profileScopedKey(LOGIN_STORAGE_KEY));
+            sessionStorage.removeItem(this.profileScopedKey(LOGIN_STORAGE_KEY));
+            this.credentialDigest = null;
+            this.savedCredentialDigest = null;
+            // 退出后不在本机保留调查数据
+            const source = this.elements.apiUrl.value.trim();
+            if (source && this.offlineStore.supported) {
+                this.offlineStore.clear(source).catch(error => console.warn('⚠️ 清除离线镜像失败:', error));
+            }
+            this.hideOfflineBanner();
+            // 环境的 API 地址属于环境配置，退出时保留
+            const profile = this.getActiveProfile();
+            this.elements.apiUrl.value = profile ? profile.apiUrl : '';
+            this.elements.adminKey.value = '';
+            this.elements.loginPassword.value = '';
+            this.authSession = null;
+            this.setCurrentUser(null);
+            this.currentData = [];
+            this.clearSelection();
+            this.cache.clear();
+            this.dataSource = null;
+            this.updateCacheIndicator();
+            this.elements.statsSection.classList.add('hidden');
+            this.elements.paginationSection.classList.add('hidden');
+            this.elements.dataContainer.innerHTML = `
+                <div class="p-8 text-center text-gray-500">
+                    <i class="fas fa-inbox text-4xl mb-4"></i>
+                    <p>请先连接API加载数据</p>
+                </div>
+            `;
+            this.showStatus('error', '已退出登录');
+            console.log('✓ 已清除登录状态');
+        } catch (error) {
+            console.error('清除登录状态失败:', error);
+        }
+    }
+
+    // 缓存键前缀：同一 API + 密钥下的所有页面
+    getCachePrefix() {
+        return `${this.activeProfileId}_${this.elements.apiUrl.value.trim()}_${this.getCredential()}_`;
+    }
+
+    // 手动刷新：作废当前连接的全部缓存页后重新请求
+    refreshData() {
+        const removed = this.cache.invalidatePrefix(this.getCachePrefix());
+        console.log(`✓ 已清除 ${removed} 个缓存页面`);
+        this.loadSurveyData({ forceRefresh: true });
+    }
+
+    async loadSurveyData(options = {}) {
+        this.syncListRoute();
+
+        if (this.dataMode === 'file') {
+            this.loadLocalDataset();
+            return;
+        }
+
+        const api = this.elements.apiUrl.value.trim();
+        if (this.authMode === 'token') {
+            if (!api) {
+                this.showStatus('error', '请输入API地址');
+                return;
+            }
+            if (!await this.ensureAuthenticated()) return;
+        } else if (!api || !this.elements.adminKey.value.trim()) {
+            this.showStatus('error', '请输入API地址和管理员密钥');
+            return;
+        }
+        const key = this.getCredential();
+
+        // Check cache first (query 包含分页与筛选条件)
+        const query = this.buildSurveyQuery();
+        const cacheKey = this.getCachePrefix() + query;
+        const requestId = ++this.loadRequestId;
+        const cached = options.forceRefresh ? null : this.cache.getEntry(cacheKey);
+        if (cached) {
+            // 丢弃仍在进行的旧页面请求，避免其响应覆盖缓存结果
+            this.api.cancel('surveyPage');
+            this.currentData = cached.value.rows;
+            this.totalRecords = cached.value.total;
+            this.dataSource = { fromCache: true, loadedAt: cached.storedAt };
+            this.displayData();
+            this.updateStats();
+            this.updatePagination();
+            this.updateCacheIndicator();
+            this.showStatus('connected', `从缓存加载 ${this.currentData.length} 条记录`);
+            return;
+        }
+
+        this.toggleLoading(true);
+        this.showStatus('checking', '正在加载数据...');
+
+        try {
+            const data = await this.fetchSurveys(query, { channel: 'surveyPage' });
+            // 已有更新的加载请求：丢弃本次结果
+            if (requestId !== this.loadRequestId) return;
+            this.currentData = data.rows || [];
+            this.totalRecords = data.total || 0;
+
+            // 结果集缩小后当前页可能越界，跳回最后一页重新加载
+            const totalPages = Math.ceil(this.totalRecords / this.limit);
+            if (totalPages > 0 && this.currentPage > totalPages) {
+                this.currentPage = totalPages;
+                return await this.loadSurveyData();
+            }
+
+            // Cache the result
+            this.cache.set(cacheKey, data);
+            const recoveredFromOffline = Boolean(this.dataSource && this.dataSource.offline);
+            this.dataSource = { fromCache: false, offline: false, loadedAt: Date.now() };
+            this.mirrorRecords(this.currentData);
+            this.hideOfflineBanner();
+
+            // 保存登录凭据到 localStorage（首次成功登录时）
+            this.saveLoginState(api, key);
+            if (!this.currentUser) this.loadCurrentUser();
+            // 补发离线期间排队的审计事件
+            this.auditLog.flush();
+            // 从离线快照恢复到在线（未必触发 online 事件，如服务器重启）：补做增量同步
+            if (recoveredFromOffline) this.syncOfflineMirror();
+
+            this.displayData();
+            this.updateStats();
+            this.updatePagination();
+            this.updateCacheIndicator();
+            this.showStatus('connected', `成功加载 ${this.currentData.length} 条记录`);
+
+            this.elements.statsSection.classList.remove('hidden');
+            this.elements.paginationSection.classList.remove('hidden');
+        } catch (error) {
+            // 被更新的翻页请求取代，无需提示
+            if (error.type === 'aborted') return;
+
+            // 无法连接服务器时改用本地离线镜像
+            if (this.isConnectivityError(error) && await this.loadFromOfflineMirror(requestId)) return;
+
+            console.error('加载数据失败:', error);
+            this.showStatus('error', '加载失败: ' + this.getErrorMessage(error));
+        } finally {
+            if (requestId === this.loadRequestId) {
+                this.toggleLoading(false);
+            }
+        }
+    }
+
+    isConnectivityError(error) {
+        return ['offline', 'timeout', 'server'].includes(error.type);
+    }
+
+    // 将成功加载的记录写入 IndexedDB 镜像（失败不影响正常使用）
+    mirrorRecords(records) {
+        if (!this.offlineStore.supported || this.locked || records.length === 0) return;
+
+        this.offlineStore.saveRecords(this.elements.apiUrl.value.trim(), records)
+            .catch(error => console.warn('⚠️ 写入离线镜像失败:', error));
+    }
+
+    async loadFromOfflineMirror(requestId) {
+        if (!this.offlineStore.supported || this.locked) return false;
+
+        const source = this.elements.apiUrl.value.trim();
+        try {
+            const meta = await this.offlineStore.getMeta(source);
+            if (!meta.lastSyncedAt) return false;
+
+            const data = await this.offlineStore.query(source, {
+                filters: this.getQueryFilters(),
+                sort: this.sort,
+                limit: this.limit,
+                offset: (this.currentPage - 1) * this.limit
+            });
+            if (requestId !== this.loadRequestId) return true;
+
+            this.currentData = data.rows;
+            this.totalRecords = data.total;
+            this.dataSource = { fromCache: false, offline: true, loadedAt: meta.lastSyncedAt };
+
+            this.displayData();
+            this.updateStats();
+            this.updatePagination();
+            this.updateCacheIndicator();
+            this.showOfflineBanner(meta.lastSyncedAt);
+            this.showStatus('error', `无法连接服务器，正在显示离线快照（${this.currentData.length} 条记录）`);
+
+            this.elements.statsSection.classList.remove('hidden');
+            this.elements.paginationSection.classList.remove('hidden');
+            return true;
+        } catch (error) {
+            console.error('读取离线镜像失败:', error);
+            return false;
+        }
+    }
+
+    showOfflineBanner(syncedAt) {
+        this.elements.offlineBannerText.textContent =
+            `离线快照，数据截至 ${this.formatDate(syncedAt)}。网络恢复后将自动同步最新数据。`;
+        this.elements.offlineBanner.classList.remove('hidden');
+    }
+
+    hideOfflineBanner() {
+        this.elements.offlineBanner.classList.add('hidden');
+    }
+
+    // 增量同步：只拉取水位之后有更新的记录，然后刷新当前页
+    // 水位取自服务器返回记录的 updated_at，只在完整同步成功后推进；为空时全量同步
+    async syncOfflineMirror() {
+        if (this.dataMode !== 'api') return;
+        const source = this.elements.apiUrl.value.trim();
+        if (!source || !this.getCredential() || !this.offlineStore.supported) return;
+
+        try {
+            const meta = await this.offlineStore.getMeta(source);
+            const batchSize = 100;
+            let offset = 0;
+            let synced = 0;
+            let watermark = meta.syncWatermark || null;
+
+            while (true) {
+                const query = new URLSearchParams({ limit: batchSize, offset });
+                if (meta.syncWatermark) {
+                    query.set('updated_since', meta.syncWatermark);
+                }
+
+                const data = await this.fetchSurveys(query.toString(), { channel: 'offlineSync' });
+                const rows = data.rows || [];
+                // 墓碑：已删除的记录从镜像中移除，已归档的记录带标记覆盖（离线查询按 archived 过滤）
+                await this.offlineStore.saveRecords(source, rows.filter(row => !row.deleted));
+                for (const row of rows.filter(row => row.deleted)) {
+                    await this.offlineStore.deleteRecord(source, row.id);
+                }
+                rows.forEach(row => {
+                    const updatedAt = row.updated_at || row.timestamp;
+                    if (updatedAt && (!watermark || new Date(updatedAt) > new Date(watermark))) {
+                        watermark = updatedAt;
+                    }
+                });
+                synced += rows.length;
+                offset += batchSize;
+
+                if (rows.length < batchSize || offset >= (data.total || 0)) break;
+            }
+
+            if (watermark !== meta.syncWatermark) {
+                await this.offlineStore.setMeta(source, { syncWatermark: watermark });
+            }
+            console.log(`✓ 离线镜像已同步 ${synced} 条记录`);
+            this.cache.invalidatePrefix(this.getCachePrefix());
+            if (this.dataSource && this.dataSource.offline) {
+                this.loadSurveyData({ forceRefresh: true });
+            }
+        } catch (error) {
+            if (error.type !== 'aborted') {
+                console.warn('⚠️ 离线镜像同步失败:', error);
+            }
+        }
+    }
+
+    // ==================== 本地文件数据源 ====================
+
+    setDataMode(mode) {
+        this.dataMode = mode;
+        const isFile = mode === 'file';
+        this.elements.fileSourceField.classList.toggle('hidden', !isFile);
+        this.elements.apiUrlField.classList.toggle('hidden', isFile);
+        this.updateCredentialFields();
+        // 本地文件使用只作用于导入文件的 local 角色；切回 API 后重新获取角色
+        this.setCurrentUser(isFile ? { username: null, role: 'local' } : null);
+
+        // 切换数据来源后清空当前列表，避免混用两个来源的记录
+        this.currentPage = 1;
+        this.currentData = [];
+        this.totalRecords = 0;
+        this.dataSource = null;
+        this.clearSelection();
+        this.hideOfflineBanner();
+        this.updateCacheIndicator();
+
+        if (isFile && !this.localDataset) {
+            this.displayData();
+            this.showStatus('checking', '请选择要导入的 CSV / Excel / JSON 文件');
+            return;
+        }
+        this.loadSurveyData();
+    }
+
+    getImportFields() {
+        return this.getRecordFieldSections().flatMap(section => section.fields);
+    }
+
+    async handleImportFile(file) {
+        this.showStatus('checking', `正在解析 ${file.name}...`);
+        const importer = new SurveyFileImporter(this.getImportFields());
+
+        try {
+            const { headers, rows } = await importer.parseFile(file);
+            if (rows.length === 0) {
+                throw new Error('文件中没有数据行');
+            }
+
+            this.pendingImport = { file, importer, headers, rows, mapping: importer.suggestMapping(headers) };
+            this.openImportModal();
+        } catch (error) {
+            console.error('文件解析失败:', error);
+            this.showStatus('error', '文件解析失败: ' + error.message);
+        } finally {
+            // 允许重新选择同一个文件
+            this.elements.importFile.value = '';
+        }
+    }
+
+    // 列映射步骤：每个表头选择对应的记录字段，自动识别的表头已预先选中
+    openImportModal() {
+        const { file, headers, rows, mapping } = this.pendingImport;
+        const fields = this.getImportFields();
+        const matched = Object.values(mapping).filter(Boolean).length;
+
+        this.elements.importSummary.textContent =
+            `${file.name}：共 ${rows.length} 行、${headers.length} 列，已自动识别 ${matched} 列。请确认每列对应的字段。`;
+
+        this.elements.importMappingContent.innerHTML = `
+            <table class="health-table">
+                <thead>
+                    <tr><th>文件列</th><th>示例值</th><th>对应字段</th></tr>
+                </thead>
+                <tbody>
+                    ${headers.map((header, index) => `
+                        <tr>
+                            <td class="font-medium">${this.escapeHTML(header)}</td>
+                            <td class="text-gray-500">${rows.length > 0 ? this.escapeHTML(rows[0][header] ?? '') : ''}</td>
+                            <td>
+                                <select class="import-mapping-select w-full px-2 py-1 border border-gray-300 rounded-md" data-header-index="${index}">
+                                    <option value="">— 忽略此列 —</option>
+                                    ${fields.map(field => `
+                                        <option value="${field.key}" ${mapping[header] === field.key ? 'selected' : ''}>${field.label} (${field.key})</option>
+                                    `).join('')}
+                                </select>
+                            </td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+
+        this.elements.importModal.classList.add('active');
+    }
+
+    closeImportModal() {
+        this.elements.importModal.classList.remove('active');
+        this.pendingImport = null;
+        if (!this.localDataset) {
+            this.showStatus('error', '已取消导入');
+        }
+    }
+
+    confirmImport() {
+        const { file, importer, headers, rows } = this.pendingImport;
+        const mapping = {};
+        this.elements.importMappingContent.querySelectorAll('.import-mapping-select').forEach(select => {
+            mapping[headers[Number(select.dataset.headerIndex)]] = select.value;
+        });
+
+        const mappedKeys = Object.values(mapping).filter(Boolean);
+        if (mappedKeys.length === 0) {
+            alert('请至少为一列选择对应字段');
+            return;
+        }
+        const duplicates = mappedKeys.filter((key, index) => mappedKeys.indexOf(key) !== index);
+        if (duplicates.length > 0) {
+            alert(`以下字段被多列重复映射，请调整：${[...new Set(duplicates)].join(', ')}`);
+            return;
+        }
+        if (!mappedKeys.includes('store_name') && !mappedKeys.includes('store_identifier')) {
+            if (!confirm('未映射门店名称或门店识别码，导入后将难以区分门店。是否继续？')) return;
+        }
+
+        const { records, renumbered } = importer.buildRecords(rows, mapping);
+        if (renumbered > 0 && !confirm(`${renumbered} 条记录的 ID 重复或无效，将重新分配 ID。是否继续导入？`)) return;
+
+        this.localDataset = {
+            name: file.name,
+            records,
+            importedAt: Date.now()
+        };
+        this.elements.importFileName.textContent = `${file.name} (${this.localDataset.records.length} 条)`;
+        this.audit('data.import', null, { after: { file: file.name, records: this.localDataset.records.length } });
+        this.pendingImport = null;
+        this.elements.importModal.classList.remove('active');
+
+        this.currentPage = 1;
+        this.loadSurveyData();
+    }
+
+    // 在本地数据集上执行与 API 相同的筛选、排序和分页
+    loadLocalDataset() {
+        if (!this.localDataset) {
+            this.showStatus('error', '请先选择要导入的文件');
+            return;
+        }
+
+        const data = applySurveyQuery(this.localDataset.records, {
+            filters: this.getQueryFilters(),
+            sort: this.sort,
+            limit: this.limit,
+            offset: (this.currentPage - 1) * this.limit
+        });
+
+        const totalPages = Math.ceil(data.total / this.limit);
+        if (totalPages > 0 && this.currentPage > totalPages) {
+            this.currentPage = totalPages;
+            this.loadLocalDataset();
+            return;
+        }
+
+        this.currentData = data.rows;
+        this.totalRecords = data.total;
+        this.dataSource = { local: true, loadedAt: this.localDataset.importedAt };
+
+        this.displayData();
+        this.updateStats();
+        this.updatePagination();
+        this.updateCacheIndicator();
+        this.showStatus('connected', `本地文件 ${this.localDataset.name}：显示 ${this.currentData.length} 条记录`);
+
+        this.elements.statsSection.classList.remove('hidden');
+        this.elements.paginationSection.classList.remove('hidden');
+    }
+
+    // 请求 /api/surveys，返回 { rows, total }
+    fetchSurveys(query, options = {}) {
+        return this.api.get('/api/surveys', { query, ...options });
+    }
+
+    /**
+     * 取出当前视图与筛选条件下的全部记录（不分页）
+     * @param {Function} [onProgress] - (已加载条数, 总条数)
+     * @param {Object} [options]
+     * @param {string} [options.channel] - 取消频道，可用 api.cancel(channel) 中止
+     * @param {Object} [options.filters] - 代替当前视图的筛选条件（{} 表示全部未归档记录）
+     */
+    async fetchAllMatchingRecords(onProgress, { channel, filters = this.getQueryFilters() } = {}) {
+        const options = { filters, sort: this.sort };
+
+        if (this.dataMode === 'file') {
+            return applySurveyQuery(this.localDataset ? this.localDataset.records : [], options).rows;
+        }
+        if (this.dataSource && this.dataSource.offline) {
+            return (await this.offlineStore.query(this.elements.apiUrl.value.trim(), options)).rows;
+        }
+
+        const records = [];
+        let total = Infinity;
+        while (records.length < total) {
+            const data = await this.fetchSurveys(this.buildSurveyQuery({ limit: BULK_PAGE_SIZE, offset: records.length, filters }), { channel });
+            const rows = data.rows || [];
+            total = data.total || 0;
+            records.push(...rows);
+            if (onProgress) onProgress(records.length, total);
+            if (rows.length === 0) break;
+        }
+        return records;
+    }
+
+    displayData() {
+        // 撤销窗口内的待删除记录不显示
+        const rows = this.currentData.filter(record => !this.isPendingDeletion(record.id));
+        this.pruneSelection();
+
+        // 同一批数据重绘（打标签、撤销删除等）时保留滚动位置
+        const previous = this.tableView;
+        const scrollTop = previous && previous.source === this.currentData && previous.scroller
+            ? previous.scroller.scrollTop
+            : 0;
+        this.tableView = null;
+
+        if (rows.length === 0) {
+            this.elements.dataContainer.innerHTML = `
+                <div class="p-8 text-center text-gray-500">
+                    <i class="fas fa-inbox text-4xl mb-4"></i>
+                    <p>${Object.keys(this.filters).length > 0 ? '没有符合筛选条件的数据' : '暂无数据'}</p>
+                </div>
+            `;
+            return;
+        }
+
+        // Use DocumentFragment for better performance
+        const fragment = document.createDocumentFragment();
+        const table = document.createElement('table');
+        table.className = 'data-table w-full';
+
+        // 行数较多时只渲染可视区域内的行
+        const virtual = rows.length > VIRTUAL_ROW_THRESHOLD;
+        const headerCellClass = virtual ? 'sticky top-0 z-10 bg-white' : '';
+
+        // Create table header (sort 值即 API 的排序字段名，计算指标列不可排序)
+        const columns = this.getVisibleTableColumns();
+        const thead = document.createElement('thead');
+        thead.innerHTML = `
+            <tr>
+                <th class="w-8 ${headerCellClass}"><input type="checkbox" id="selectAllPage" title="全选本页"></th>
+                ${columns.map(col => `
+                    <th ${col.sortable ? `data-sort="${col.id}" title="点击排序"` : ''}
+                        class="${col.sortable ? 'cursor-pointer select-none hover:text-blue-600' : ''} ${headerCellClass}"
+                        ${this.getColumnWidthStyle(col.id)}>
+                        ${col.label}${col.sortable ? `<i class="fas ${this.getSortIcon(col.id)} ml-1"></i>` : ''}
+                    </th>
+                `).join('')}
+                <th class="${headerCellClass}">操作</th>
+            </tr>
+        `;
+        table.appendChild(thead);
+
+        const tbody = document.createElement('tbody');
+        table.appendChild(tbody);
+        this.tableView = {
+            source: this.currentData,
+            rows,
+            columns,
+            needsKPI: columns.some(column => column.kpi),
+            tbody,
+            virtual,
+            scroller: null,
+            rowHeight: previous ? previous.rowHeight : VIRTUAL_ROW_HEIGHT,
+            measured: false,
+            start: -1,
+            end: -1
+        };
+
+        if (!virtual) {
+            rows.forEach(record => tbody.appendChild(this.renderTableRow(record)));
+            fragment.appendChild(table);
+        } else {
+            // 固定高度的滚动容器，表头吸顶
+            const scroller = document.createElement('div');
+            scroller.className = 'virtual-scroll overflow-auto';
+            scroller.style.maxHeight = '70vh';
+            scroller.appendChild(table);
+            fragment.appendChild(scroller);
+            this.tableView.scroller = scroller;
+
+            let frame = null;
+            scroller.addEventListener('scroll', () => {
+                if (frame) return;
+                frame = requestAnimationFrame(() => {
+                    frame = null;
+                    this.renderVirtualRows();
+                });
+            });
+        }
+
+        this.elements.dataContainer.innerHTML = '';
+        this.elements.dataContainer.appendChild(fragment);
+
+        if (virtual) {
+            this.renderVirtualRows();
+            if (scrollTop > 0) {
+                this.tableView.scroller.scrollTop = scrollTop;
+                this.renderVirtualRows();
+            }
+        }
+        this.updatePageSelectionState();
+    }
+
+    renderTableRow(record) {
+        const view = this.tableView;
+        const kpi = view.needsKPI ? this.diagnosis.calculateKPI(this.toSurveyRecord(record)) : null;
+        const row = document.createElement('tr');
+        if (view.virtual) row.className = 'whitespace-nowrap';
+        row.innerHTML = `
+            <td><input type="checkbox" class="row-select" data-id="${record.id}" ${this.selection.has(record.id) ? 'checked' : ''}></td>
+            ${view.columns.map(col => `<td>${col.render(record, kpi)}</td>`).join('')}
+            <td>
+                ${this.renderQualityBadge(this.validateRecord(record))}
+                <button onclick="app.viewRecord(${record.id})" class="text-blue-500 hover:text-blue-700 mr-2" title="查看详情">
+                    <i class="fas fa-eye"></i>
+                </button>
+                <button onclick="app.viewDiagnosis(${record.id})" class="text-purple-500 hover:text-purple-700 mr-2" title="AI诊断">
+                    <i class="fas fa-stethoscope"></i>
+                </button>
+                <button onclick="app.viewStoreProfile(${record.id})" class="text-green-600 hover:text-green-800 mr-2" title="门店档案">
+                    <i class="fas fa-store"></i>
+                </button>
+                ${this.view === 'archived' ? `
+                    <button onclick="app.restoreRecords([${record.id}])" class="manage-action text-gray-500 hover:text-gray-700 mr-2" title="恢复">
+                        <i class="fas fa-box-open"></i>
+                    </button>
+                ` : `
+                    <button onclick="app.archiveRecords([${record.id}])" class="manage-action text-gray-500 hover:text-gray-700 mr-2" title="归档">
+                        <i class="fas fa-archive"></i>
+                    </button>
+                `}
+                <button onclick="app.deleteRecords([${record.id}])" class="manage-action text-red-400 hover:text-red-600" title="删除">
+                    <i class="fas fa-trash"></i>
+                </button>
+            </td>
+        `;
+        return row;
+    }
+
+    // 根据滚动位置渲染可视窗口内的行，上下用占位行撑开滚动高度
+    renderVirtualRows(force = false) {
+        const view = this.tableView;
+        if (!view || !view.virtual) return;
+
+        const viewportHeight = view.scroller.clientHeight || window.innerHeight * 0.7;
+        const start = Math.max(0, Math.floor(view.scroller.scrollTop / view.rowHeight) - VIRTUAL_OVERSCAN);
+        const end = Math.min(view.rows.length, start + Math.ceil(viewportHeight / view.rowHeight) + VIRTUAL_OVERSCAN * 2);
+        if (!force && start === view.start && end === view.end) return;
+        view.start = start;
+        view.end = end;
+
+        const colspan = view.columns.length + 2;
+        const spacer = height => {
+            const row = document.createElement('tr');
+            row.className = 'virtual-spacer';
+            row.innerHTML = `<td colspan="${colspan}" style="height: ${height}px; padding: 0; border: 0;"></td>`;
+            return row;
+        };
+
+        const fragment = document.createDocumentFragment();
+        fragment.appendChild(spacer(start * view.rowHeight));
+        view.rows.slice(start, end).forEach(record => fragment.appendChild(this.renderTableRow(record)));
+        fragment.appendChild(spacer((view.rows.length - end) * view.rowHeight));
+        view.tbody.replaceChildren(fragment);
+
+        // 首次渲染后用实际行高校正估算值
+        if (!view.measured) {
+            view.measured = true;
+            const sample = view.tbody.rows[1];
+            if (sample && sample.offsetHeight > 0 && Math.abs(sample.offsetHeight - view.rowHeight) > 1) {
+                view.rowHeight = sample.offsetHeight;
+                this.renderVirtualRows(true);
+            }
+        }
+    }
+
+    // ==================== 归档 / 删除 / 恢复 ====================
+
+    setView(view) {
+        this.view = view;
+        this.elements.bulkArchive.querySelector('span').textContent = view === 'archived' ? '恢复' : '归档';
+        this.elements.bulkArchive.querySelector('i').className = `fas ${view === 'archived' ? 'fa-box-open' : 'fa-archive'} mr-1`;
+        this.clearSelection();
+        this.currentPage = 1;
+        this.loadSurveyData();
+    }
+
+    // ==================== 路由 ====================
+
+    initRouter() {
+        this.router
+            .on('/record/:id/:tab?', params => this.handleRecordRoute(Number(params.id), params.tab || 'details'))
+            .otherwise((params, query) => this.handleListRoute(query));
+
+        // 列表状态需在首次加载前生效（首次加载由 restoreLoginState 触发）
+        if (!this.router.match(this.router.current.path)) {
+            this.applyListRoute(this.router.current.query);
+        }
+        this.router.listen();
+    }
+
+    // 当前分页、筛选、排序与视图对应的列表路由
+    getListRoute() {
+        const query = {};
+        Object.entries(LIST_ROUTE_PARAMS).forEach(([filter, param]) => {
+            if (this.filters[filter] !== undefined) query[param] = this.filters[filter];
+        });
+        if (this.currentPage > 1) query.page = this.currentPage;
+        if (this.limit !== 25) query.limit = this.limit;
+        if (this.view !== 'active') query.view = this.view;
+        if (this.sort.field) {
+            query.sort = this.sort.field;
+            query.order = this.sort.order;
+        }
+        return HashRouter.build('/surveys', query);
+    }
+
+    // 把路由中的列表状态写回界面（不加载数据）
+    applyListRoute(query) {
+        const filters = {};
+        Object.entries(LIST_ROUTE_PARAMS).forEach(([filter, param]) => {
+            const value = query.get(param);
+            if (value) filters[filter] = value;
+        });
+        this.filters = filters;
+        const inputs = {
+            keyword: 'filterKeyword',
+            business_type: 'filterBusinessType',
+            business_circle: 'filterBusinessCircle',
+            decoration_level: 'filterDecorationLevel',
+            start_date: 'filterDateFrom',
+            end_date: 'filterDateTo',
+            min_revenue: 'filterRevenueMin',
+            max_revenue: 'filterRevenueMax'
+        };
+        Object.entries(inputs).forEach(([filter, element]) => {
+            this.elements[element].value = filters[filter] || '';
+        });
+
+        this.currentPage = Math.max(1, parseInt(query.get('page'), 10) || 1);
+
+        const limit = parseInt(query.get('limit'), 10);
+        if (limit && [...this.elements.limitSelect.options].some(option => Number(option.value) === limit)) {
+            this.limit = limit;
+            this.elements.limitSelect.value = String(limit);
+        }
+
+        const view = query.get('view') === 'archived' ? 'archived' : 'active';
+        if (view !== this.view) {
+            this.view = view;
+            this.elements.viewSelect.value = view;
+            this.elements.bulkArchive.querySelector('span').textContent = view === 'archived' ? '恢复' : '归档';
+            this.elements.bulkArchive.querySelector('i').className = `fas ${view === 'archived' ? 'fa-box-open' : 'fa-archive'} mr-1`;
+        }
+
+        if (query.get('sort')) {
+            this.sort = { field: query.get('sort'), order: query.get('order') === 'asc' ? 'asc' : 'desc' };
+            this.saveSortState();
+        }
+    }
+
+    // 列表状态变化时同步到地址栏（弹窗打开期间地址栏保持记录路由）
+    syncListRoute() {
+        this.listRoute = this.getListRoute();
+        if (!this.isModalOpen()) {
+            this.router.replace(this.listRoute);
+        }
+    }
+
+    handleListRoute(query) {
+        if (this.isModalOpen()) {
+            this.hideModal();
+        }
+
+        // 后退回到列表时状态未变，无需重新加载
+        const previous = this.listRoute;
+        this.applyListRoute(query);
+        if (this.getListRoute() === previous) return;
+        this.loadSurveyData();
+    }
+
+    getRecordRoute(id, tab) {
+        return tab && tab !== 'details' ? `/record/${id}/${tab}` : `/record/${id}`;
+    }
+
+    // 打开弹窗时记录路由：从列表打开时新增历史记录，弹窗内切换时替换
+    pushRecordRoute(id, tab) {
+        if (this.routing) return;
+        const route = this.getRecordRoute(id, tab);
+        if (history.state && history.state.recordRoute) {
+            this.router.replace(route);
+        } else {
+            this.router.push(route, { recordRoute: true });
+        }
+    }
+
+    async handleRecordRoute(id, tab) {
+        const openers = { details: this.viewRecord, diagnosis: this.viewDiagnosis, profile: this.viewStoreProfile };
+        const open = openers[tab] || openers.details;
+
+        if (this.isModalOpen() && this.currentRecord && this.currentRecord.id === id &&
+            document.querySelector(`.tab-button[data-tab="${tab}"]`)?.classList.contains('active')) {
+            return;
+        }
+
+        try {
+            const record = await this.fetchRecord(id);
+            if (!record) {
+                this.showStatus('error', `记录不存在: ${id}`);
+                this.router.replace(this.listRoute);
+                return;
+            }
+
+            this.currentRecord = record;
+            this.routing = true;
+            open.call(this, id);
+            // 列表加载期间可能已改写地址栏，以打开的记录为准
+            this.router.replace(this.getRecordRoute(id, tab));
+        } catch (error) {
+            console.error('❌ 打开记录失败:', error);
+            this.showStatus('error', '打开记录失败: ' + this.getErrorMessage(error));
+            this.router.replace(this.listRoute);
+        } finally {
+            this.routing = false;
+        }
+    }
+
+    // ==================== 表格列与布局 ====================
+
+    /**
+     * 表格可显示的全部列：记录字段 + 计算指标
+     * 每列为 { id, label, group, sortable, kpi?, render(record, kpi) }
+     */
+    getTableColumnCatalog() {
+        const headerLabels = { id: 'ID', monthly_revenue: '月营收' };
+        const renderers = {
+            timestamp: record => this.formatDate(record.timestamp),
+            store_identifier: record => `<span class="font-mono text-blue-600">${this.escapeHTML(record.store_identifier || '-')}</span>`,
+            store_name: record => `${this.escapeHTML(record.store_name || '-')}${this.renderRecordTags(record.id)}`,
+            monthly_revenue: record => this.formatNumber(record.monthly_revenue),
+            update_count: record => `<span class="px-2 py-1 bg-blue-100 text-blue-800 rounded text-xs">${record.update_count || 0}次</span>`
+        };
+
+        const catalog = new Map();
+        this.getRecordFieldSections().forEach(section => {
+            section.fields.forEach(field => {
+                catalog.set(field.key, {
+                    id: field.key,
+                    label: headerLabels[field.key] || field.label,
+                    group: section.title,
+                    sortable: true,
+                    render: renderers[field.key] || (record => {
+                        const value = record[field.key];
+                        return value === undefined || value === null || value === '' ? '-' : this.formatFieldValue(field, record);
+                    })
+                });
+            });
+        });
+
+        KPI_EXPORT_COLUMNS.forEach(column => {
+            catalog.set(`kpi:${column.key}`, {
+                id: `kpi:${column.key}`,
+                label: column.label,
+                group: '计算指标',
+                sortable: false,
+                kpi: true,
+                render: (record, kpi) => {
+                    const value = column.key === 'overall_score' ? this.diagnosis.calculateOverallScore(kpi) : kpi[column.key];
+                    if (!Number.isFinite(value)) return '-';
+                    if (column.percent) return (value * 100).toFixed(1) + '%';
+                    if (column.currency) return '¥' + this.formatNumber(Math.round(value));
+                    return Math.round(value * 10) / 10;
+                }
+            });
+        });
+        return catalog;
+    }
+
+    getVisibleTableColumns() {
+        const catalog = this.getTableColumnCatalog();
+        const columns = this.tableLayout.columns.filter(id => catalog.has(id)).map(id => catalog.get(id));
+        return columns.length > 0 ? columns : DEFAULT_TABLE_COLUMNS.map(id => catalog.get(id));
+    }
+
+    getColumnWidthStyle(columnId) {
+        const width = this.tableLayout.widths[columnId];
+        return width ? `style="width: ${width}px; min-width: ${width}px;"` : '';
+    }
+
+    restoreTableLayout() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.profileScopedKey('surveyTableLayout')));
+            if (saved && Array.isArray(saved.columns)) {
+                return { name: saved.name || '', columns: saved.columns, widths: saved.widths || {} };
+            }
+        } catch (error) {
+            console.warn('⚠️ 恢复表格布局失败:', error);
+        }
+        return { name: '', columns: [...DEFAULT_TABLE_COLUMNS], widths: {} };
+    }
+
+    saveTableLayoutState() {
+        localStorage.setItem(this.profileScopedKey('surveyTableLayout'), JSON.stringify(this.tableLayout));
+    }
+
+    // 已命名保存的布局：{ 名称: { columns, widths } }
+    getSavedLayouts() {
+        try {
+            return JSON.parse(localStorage.getItem(this.profileScopedKey('surveyTableLayouts')) || '{}');
+        } catch (error) {
+            console.warn('⚠️ 读取已保存布局失败:', error);
+            return {};
+        }
+    }
+
+    populateLayoutSelect() {
+        const names = Object.keys(this.getSavedLayouts());
+        this.elements.layoutSelect.innerHTML = `
+            <option value="">默认布局</option>
+            ${names.map(name => `<option value="${this.escapeHTML(name)}">${this.escapeHTML(name)}</option>`).join('')}
+        `;
+        this.elements.layoutSelect.value = names.includes(this.tableLayout.name) ? this.tableLayout.name : '';
+    }
+
+    applyLayout(name) {
+        const saved = name ? this.getSavedLayouts()[name] : null;
+        this.tableLayout = saved
+            ? { name, columns: [...saved.columns], widths: { ...saved.widths } }
+            : { name: '', columns: [...DEFAULT_TABLE_COLUMNS], widths: {} };
+        this.saveTableLayoutState();
+        this.populateLayoutSelect();
+        this.displayData();
+    }
+
+    openColumnSettings() {
+        this.renderColumnSettings(this.tableLayout);
+        this.elements.deleteLayout.disabled = !this.tableLayout.name;
+        this.elements.deleteLayout.classList.toggle('opacity-50', !this.tableLayout.name);
+        this.elements.columnSettingsModal.classList.add('active');
+    }
+
+    closeColumnSettings() {
+        this.elements.columnSettingsModal.classList.remove('active');
+    }
+
+    // 已显示的列按顺序排在前面，其余列按字段分组顺序排在后面
+    renderColumnSettings(layout) {
+        const catalog = this.getTableColumnCatalog();
+        const visible = layout.columns.filter(id => catalog.has(id));
+        const ordered = [...visible, ...[...catalog.keys()].filter(id => !visible.includes(id))];
+
+        this.elements.columnSettingsContent.innerHTML = ordered.map(id => {
+            const column = catalog.get(id);
+            return `
+                <div class="column-setting-row flex items-center gap-3 px-3 py-2 border-b border-gray-100 bg-white text-sm" draggable="true" data-column-id="${id}">
+                    <i class="fas fa-grip-vertical text-gray-400 cursor-move"></i>
+                    <input type="checkbox" class="column-visible" ${visible.includes(id) ? 'checked' : ''}>
+                    <span class="flex-1">${column.label}</span>
+                    <span class="text-xs text-gray-400">${column.group}</span>
+                    <input type="number" class="column-width w-20 px-2 py-1 border border-gray-300 rounded-md" min="40" step="10"
+                        placeholder="自动" value="${layout.widths[id] || ''}">
+                    <span class="text-xs text-gray-400">px</span>
+                </div>
+            `;
+        }).join('');
+    }
+
+    // 拖动排序：拖过某行的上半部分时插入到其前面，下半部分时插入到其后面
+    bindColumnDragEvents() {
+        const container = this.elements.columnSettingsContent;
+        let dragged = null;
+
+        container.addEventListener('dragstart', (e) => {
+            dragged = e.target.closest('.column-setting-row');
+            if (!dragged) return;
+            e.dataTransfer.effectAllowed = 'move';
+            dragged.classList.add('opacity-50');
+        });
+        container.addEventListener('dragover', (e) => {
+            const target = e.target.closest('.column-setting-row');
+            if (!dragged || !target || target === dragged) return;
+            e.preventDefault();
+            const rect = target.getBoundingClientRect();
+            const after = e.clientY > rect.top + rect.height / 2;
+            container.insertBefore(dragged, after ? target.nextSibling : target);
+        });
+        container.addEventListener('dragend', () => {
+            if (dragged) dragged.classList.remove('opacity-50');
+            dragged = null;
+        });
+    }
+
+    readColumnSettings() {
+        const columns = [];
+        const widths = {};
+        this.elements.columnSettingsContent.querySelectorAll('.column-setting-row').forEach(row => {
+            const id = row.dataset.columnId;
+            if (row.querySelector('.column-visible').checked) columns.push(id);
+            const width = parseInt(row.querySelector('.column-width').value, 10);
+            if (width > 0) widths[id] = width;
+        });
+        return { columns, widths };
+    }
+
+    // 应用到当前布局；当前为已命名布局时一并更新其保存内容
+    applyColumnSettings() {
+        const { columns, widths } = this.readColumnSettings();
+        if (columns.length === 0) {
+            alert('请至少选择一列');
+            return;
+        }
+
+        this.tableLayout = { name: this.tableLayout.name, columns, widths };
+        if (this.tableLayout.name) {
+            this.storeNamedLayout(this.tableLayout.name, { columns, widths });
+        }
+        this.saveTableLayoutState();
+        this.closeColumnSettings();
+        this.displayData();
+    }
+
+    saveLayoutAs() {
+        const { columns, widths } = this.readColumnSettings();
+        if (columns.length === 0) {
+            alert('请至少选择一列');
+            return;
+        }
+
+        const name = (prompt('布局名称（如：财务视图、营销视图）:', this.tableLayout.name) || '').trim();
+        if (!name) return;
+        if (this.getSavedLayouts()[name] && name !== this.tableLayout.name && !confirm(`布局「${name}」已存在，是否覆盖？`)) {
+            return;
+        }
+
+        this.storeNamedLayout(name, { columns, widths });
+        this.tableLayout = { name, columns, widths };
+        this.saveTableLayoutState();
+        this.populateLayoutSelect();
+        this.closeColumnSettings();
+        this.displayData();
+        this.showStatus('connected', `已保存布局「${name}」`);
+    }
+
+    storeNamedLayout(name, layout) {
+        const layouts = this.getSavedLayouts();
+        layouts[name] = layout;
+        localStorage.setItem(this.profileScopedKey('surveyTableLayouts'), JSON.stringify(layouts));
+    }
+
+    deleteCurrentLayout() {
+        const name = this.tableLayout.name;
+        if (!name || !confirm(`确定要删除布局「${name}」吗？`)) return;
+
+        const layouts = this.getSavedLayouts();
+        delete layouts[name];
+        localStorage.setItem(this.profileScopedKey('surveyTableLayouts'), JSON.stringify(layouts));
+        this.closeColumnSettings();
+        this.applyLayout('');
+    }
+
+    // ==================== 多选与批量操作 ====================
+
+    getSelectedIds() {
+        return [...this.selection.keys()];
+    }
+
+    getSelectedRecords() {
+        return [...this.selection.values()];
+    }
+
+    toggleRowSelection(id, checked) {
+        const record = this.findRecord(id);
+        if (checked && record) {
+            this.selection.set(id, record);
+        } else {
+            this.selection.delete(id);
+        }
+        this.updateBulkActionBar();
+        this.updatePageSelectionState();
+    }
+
+    // 勾选/取消当前页所有行
+    selectPage(checked) {
+        this.currentData
+            .filter(record => !this.isPendingDeletion(record.id))
+            .forEach(record => {
+                if (checked) {
+                    this.selection.set(record.id, record);
+                } else {
+                    this.selection.delete(record.id);
+                }
+            });
+        this.elements.dataContainer.querySelectorAll('.row-select').forEach(box => { box.checked = checked; });
+        this.updateBulkActionBar();
+        this.updatePageSelectionState();
+    }
+
+    // 选择当前筛选条件下的全部记录（跨所有分页）
+    async selectAllMatching() {
+        const button = this.elements.selectAllMatching;
+        button.disabled = true;
+        button.textContent = '正在加载全部匹配记录...';
+
+        try {
+            const records = await this.fetchAllMatchingRecords((loaded, total) => {
+                button.textContent = `正在加载全部匹配记录 (${loaded}/${total})...`;
+            });
+            records.forEach(record => this.selection.set(record.id, record));
+            this.elements.dataContainer.querySelectorAll('.row-select').forEach(box => { box.checked = true; });
+            this.showStatus('connected', `已选择全部 ${records.length} 条匹配记录`);
+        } catch (error) {
+            console.error('❌ 加载全部匹配记录失败:', error);
+            this.showStatus('error', '选择全部失败: ' + this.getErrorMessage(error));
+        } finally {
+            button.disabled = false;
+            this.updateBulkActionBar();
+            this.updatePageSelectionState();
+        }
+    }
+
+    clearSelection() {
+        this.selection.clear();
+        this.elements.dataContainer.querySelectorAll('.row-select').forEach(box => { box.checked = false; });
+        this.updateBulkActionBar();
+        this.updatePageSelectionState();
+    }
+
+    // 选中项跨分页保留，只移除已进入删除撤销窗口的记录
+    pruneSelection() {
+        this.getSelectedIds().forEach(id => {
+            if (this.isPendingDeletion(id)) this.selection.delete(id);
+        });
+        this.updateBulkActionBar();
+    }
+
+    // 表头复选框：全选 / 部分选中 / 未选
+    updatePageSelectionState() {
+        const selectAll = this.elements.dataContainer.querySelector('#selectAllPage');
+        if (!selectAll) return;
+
+        const pageIds = this.currentData.map(record => record.id).filter(id => !this.isPendingDeletion(id));
+        const selectedOnPage = pageIds.filter(id => this.selection.has(id)).length;
+        selectAll.checked = pageIds.length > 0 && selectedOnPage === pageIds.length;
+        selectAll.indeterminate = selectedOnPage > 0 && selectedOnPage < pageIds.length;
+
+        // 本页已全选且还有其他页时，提示可选择全部匹配记录
+        const canSelectMore = selectAll.checked && this.selection.size < this.totalRecords;
+        this.elements.selectAllMatching.classList.toggle('hidden', !canSelectMore);
+        if (canSelectMore && !this.elements.selectAllMatching.disabled) {
+            this.elements.selectAllMatching.textContent = `选择全部 ${this.totalRecords} 条匹配记录`;
+        }
+    }
+
+    updateBulkActionBar() {
+        const count = this.selection.size;
+        this.elements.selectedCount.textContent = count;
+        this.elements.bulkActionBar.classList.toggle('hidden', count === 0);
+        this.elements.bulkCompare.disabled = count !== 2;
+    }
+
+    exportSelection() {
+        if (this.selection.size === 0) return;
+        this.openExportModal('selection');
+    }
+
+    // 对比所选的两条记录（须为同一门店）
+    compareSelectedRecords() {
+        const records = this.getSelectedRecords();
+        if (records.length !== 2) return;
+
+        const [first, second] = records;
+        if (first.store_identifier !== second.store_identifier) {
+            alert('只能对比同一门店识别码的两次提交');
+            return;
+        }
+
+        this.currentRecord = new Date(first.timestamp) >= new Date(second.timestamp) ? first : second;
+        document.getElementById('modalTitle').textContent = '门店档案';
+        this.elements.exportImageBtn.classList.add('hidden');
+        this.elements.detailModal.classList.add('active');
+        this.compareSubmissions(first.id, second.id);
+    }
+
+    // 批量生成诊断报告，合并为一个可离线打开的 HTML 文件
+    async generateBatchDiagnosis() {
+        if (!this.requirePermission('export')) return;
+        const records = this.getSelectedRecords();
+        if (records.length === 0) return;
+        if (records.length > 50 && !confirm(`将为 ${records.length} 条记录生成诊断报告，文件可能较大，是否继续？`)) {
+            return;
+        }
+
+        this.toggleLoading(true);
+        const summaryRows = [];
+        const reports = [];
+
+        try {
+            for (const [index, record] of records.entries()) {
+                this.showStatus('checking', `正在生成诊断报告 (${index + 1}/${records.length})...`);
+                // 让出主线程，保持进度提示可见
+                await new Promise(resolve => setTimeout(resolve, 0));
+
+                // 按数据质量设置跳过存在严重错误的记录
+                const quality = this.validateRecord(record);
+                const model = this.toSurveyRecord(record);
+                if (this.isDiagnosisBlocked(quality)) {
+                    summaryRows.push(`
+                        <tr>
+                            <td><a href="#report-${record.id}">${record.id}</a></td>
+                            <td>${this.escapeHTML(record.store_name || '-')}</td>
+                            <td>${this.escapeHTML(record.store_identifier || '-')}</td>
+                            <td>${this.escapeHTML(record.business_type || '-')}</td>
+                            <td>${this.formatDate(record.timestamp)}</td>
+                            <td colspan="2" class="text-red-600">数据错误，未生成诊断</td>
+                        </tr>
+                    `);
+                    reports.push(`
+                        <section id="report-${record.id}" class="batch-report">
+                            <h2 class="text-xl font-bold mb-2">${this.escapeHTML(record.store_name || record.id)}</h2>
+                            ${this.renderDataQualityPanel(quality, { blocked: true, editable: false, model })}
+                        </section>
+                    `);
+                    continue;
+                }
+
+                const kpi = this.diagnosis.calculateKPI(model);
+                const benchmark = this.diagnosis.industryBenchmarks[model.business_type] || this.diagnosis.industryBenchmarks['其他'];
+                const score = this.diagnosis.calculateOverallScore(kpi);
+                const healthLevel = this.diagnosis.getHealthLevel(score);
+
+                summaryRows.push(`
+                    <tr>
+                        <td><a href="#report-${record.id}">${record.id}</a></td>
+                        <td>${this.escapeHTML(record.store_name || '-')}</td>
+                        <td>${this.escapeHTML(record.store_identifier || '-')}</td>
+                        <td>${this.escapeHTML(record.business_type || '-')}</td>
+                        <td>${this.formatDate(record.timestamp)}</td>
+                        <td>${score}</td>
+                        <td>${healthLevel.label || '-'}</td>
+                    </tr>
+                `);
+                reports.push(`
+                    <section id="report-${record.id}" class="batch-report">
+                        ${this.renderDataQualityPanel(quality, { editable: false, model })}
+                        ${this.diagnosis.generateReport(model, kpi, benchmark)}
+                    </section>
+                `);
+            }
+
+            const stylesheet = new URL('css/styles.min.css', window.location.href).href;
+            const html = `<!DOCTYPE html>
+<html lang="zh-CN">
+<head>
+    <meta charset="UTF-8">
+    <title>批量诊断报告 - ${new Date().toLocaleDateString('zh-CN')}</title>
+    <script src="https://cdn.tailwindcss.com/3.3.3"></script>
+    <link href="https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.7.2/css/all.min.css" rel="stylesheet">
+    <link href="${stylesheet}" rel="stylesheet">
+    <style>
+        body { padding: 24px; background: #f9fafb; }
+        .batch-summary td, .batch-summary th { padding: 6px 12px; border-bottom: 1px solid #e5e7eb; text-align: left; }
+        .batch-report { margin-top: 48px; page-break-before: always; }
+        .admin-editor { display: none; }
+    </style>
+</head>
+<body>
+    <h1 class="text-2xl font-bold mb-4">批量诊断报告（${records.length} 家）</h1>
+    <table class="batch-summary bg-white rounded shadow-sm text-sm">
+        <thead><tr><th>ID</th><th>门店名称</th><th>门店识别码</th><th>业态类型</th><th>提交时间</th><th>综合评分</th><th>健康等级</th></tr></thead>
+        <tbody>${summaryRows.join('')}</tbody>
+    </table>
+    ${reports.join('')}
+</body>
+</html>`;
+
+            const link = document.createElement('a');
+            link.href = URL.createObjectURL(new Blob([html], { type: 'text/html;charset=utf-8' }));
+            link.download = `diagnosis_reports_${new Date().toISOString().slice(0,10)}.html`;
+            link.click();
+            this.audit('report.export', null, { after: { format: 'html', records: records.map(record => record.id) } });
+            this.showStatus('connected', `已生成 ${records.length} 份诊断报告`);
+        } catch (error) {
+            console.error('❌ 批量生成诊断报告失败:', error);
+            this.showStatus('error', '批量诊断失败: ' + error.message);
+        } finally {
+            this.toggleLoading(false);
+        }
+    }
+
+    // ==================== 记录标签 ====================
+
+    getRecordTagMap() {
+        try {
+            return JSON.parse(localStorage.getItem(this.sourceScopedKey('surveyRecordTags')) || '{}');
+        } catch (error) {
+            console.warn('⚠️ 读取记录标签失败:', error);
+            return {};
+        }
+    }
+
+    saveRecordTagMap(tagMap) {
+        localStorage.setItem(this.sourceScopedKey('surveyRecordTags'), JSON.stringify(tagMap));
+    }
+
+    getRecordTags(id) {
+        return this.getRecordTagMap()[id] || [];
+    }
+
+    renderRecordTags(id) {
+        return this.getRecordTags(id).map(tag => `
+            <span class="inline-flex items-center ml-1 px-2 py-0.5 bg-yellow-100 text-yellow-800 rounded text-xs">
+                ${this.escapeHTML(tag)}
+                <button data-id="${id}" data-remove-tag="${this.escapeHTML(tag)}" class="edit-action ml-1 text-yellow-600 hover:text-yellow-900" title="移除标签">&times;</button>
+            </span>
+        `).join('');
+    }
+
+    tagSelection() {
+        if (!this.requirePermission('edit')) return;
+        const ids = this.getSelectedIds();
+        if (ids.length === 0) return;
+
+        const input = prompt(`为 ${ids.length} 条记录添加标签（多个标签用逗号分隔）:`);
+        if (!input) return;
+        const tags = input.split(/[,，]/).map(tag => tag.trim()).filter(Boolean);
+        if (tags.length === 0) return;
+
+        const tagMap = this.getRecordTagMap();
+        ids.forEach(id => {
+            tagMap[id] = [...new Set([...(tagMap[id] || []), ...tags])];
+        });
+        this.saveRecordTagMap(tagMap);
+        ids.forEach(id => this.audit('record.tag', id, { after: { tags } }));
+        this.displayData();
+        this.showStatus('connected', `已为 ${ids.length} 条记录添加标签: ${tags.join('、')}`);
+    }
+
+    removeRecordTag(id, tag) {
+        if (!this.requirePermission('edit')) return;
+        const tagMap = this.getRecordTagMap();
+        tagMap[id] = (tagMap[id] || []).filter(t => t !== tag);
+        if (tagMap[id].length === 0) delete tagMap[id];
+        this.saveRecordTagMap(tagMap);
+        this.audit('record.untag', id, { before: { tag } });
+        this.displayData();
+    }
+
+    escapeHTML(text) {
+        return String(text).replace(/[&<>"']/g, char => ({
+            '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+        })[char]);
+    }
+
+    // 对多条记录逐一执行操作，返回失败的 id
+    async runRecordAction(ids, apiCall, localUpdate) {
+        const results = await Promise.allSettled(ids.map(async id => {
+            if (this.dataMode === 'api') {
+                await apiCall(id);
+            }
+            const record = this.findRecord(id) || (this.localDataset && this.localDataset.records.find(r => r.id === id));
+            if (record) localUpdate(record);
+            if (this.localDataset && this.dataMode === 'file') {
+                const local = this.localDataset.records.find(r => r.id === id);
+                if (local && local !== record) localUpdate(local);
+            }
+        }));
+
+        const failed = ids.filter((id, index) => results[index].status === 'rejected');
+        results.filter(result => result.status === 'rejected')
+            .forEach(result => console.error('记录操作失败:', result.reason));
+        return failed;
+    }
+
+    // 操作完成后作废缓存、同步离线镜像并重新加载当前页
+    afterRecordsChanged(ids, { removeFromMirror = false } = {}) {
+        if (this.dataMode === 'api') {
+            this.cache.invalidatePrefix(this.getCachePrefix());
+            const source = this.elements.apiUrl.value.trim();
+            if (removeFromMirror && this.offlineStore.supported) {
+                ids.forEach(id => this.offlineStore.deleteRecord(source, id)
+                    .catch(error => console.warn('⚠️ 更新离线镜像失败:', error)));
+            } else {
+                this.mirrorRecords(ids.map(id => this.findRecord(id)).filter(Boolean));
+            }
+        }
+        this.clearSelection();
+        this.loadSurveyData({ forceRefresh: true });
+    }
+
+    reportActionResult(action, ids, failed) {
+        if (failed.length === 0) {
+            this.showStatus('connected', `已${action} ${ids.length} 条记录`);
+        } else {
+            this.showStatus('error', `${action}失败 ${failed.length} 条（ID: ${failed.join(', ')}），成功 ${ids.length - failed.length} 条`);
+        }
+    }
+
+    // 返回归档失败的 id（无权限时为全部）
+    async archiveRecords(ids) {
+        if (!this.requirePermission('manage')) return ids;
+        if (ids.length === 0) return [];
+
+        const failed = await this.runRecordAction(
+            ids,
+            id => this.api.post(`/api/surveys/${id}/archive`),
+            record => { record.archived = true; }
+        );
+        this.auditRecords('record.archive', ids, failed, { before: { archived: false }, after: { archived: true } });
+        this.reportActionResult('归档', ids, failed);
+        this.afterRecordsChanged(ids);
+        return failed;
+    }
+
+    async restoreRecords(ids) {
+        if (!this.requirePermission('manage')) return;
+        if (ids.length === 0) return;
+
+        const failed = await this.runRecordAction(
+            ids,
+            id => this.api.post(`/api/surveys/${id}/restore`),
+            record => { record.archived = false; }
+        );
+        this.auditRecords('record.restore', ids, failed, { before: { archived: true }, after: { archived: false } });
+        this.reportActionResult('恢复', ids, failed);
+        this.afterRecordsChanged(ids);
+    }
+
+    isPendingDeletion(id) {
+        return Boolean(this.pendingDeletion && this.pendingDeletion.ids.includes(id));
+    }
+
+    // 删除：确认后先从列表中隐藏，撤销窗口结束才真正提交
+    deleteRecords(ids) {
+        if (!this.requirePermission('manage')) return;
+        if (ids.length === 0) return;
+
+        const records = ids.map(id => this.findRecord(id)).filter(Boolean);
+        const names = records.slice(0, 5).map(r => `「${r.store_name || r.store_identifier || '未命名门店'}」(ID ${r.id})`);
+        if (records.length > 5) names.push(`等 ${records.length} 条记录`);
+        if (!confirm(`确定要删除以下记录吗？\n\n${names.join('\n')}\n\n删除后 ${UNDO_WINDOW_MS / 1000} 秒内可撤销。`)) {
+            return;
+        }
+
+        // 上一次删除尚在撤销窗口内：立即提交
+        if (this.pendingDeletion) {
+            this.commitDeletion();
+        }
+
+        let remaining = UNDO_WINDOW_MS / 1000;
+        const label = records.length === 1 ? names[0] : `${records.length} 条记录`;
+        const updateToast = () => {
+            this.elements.undoToastText.textContent = `已删除 ${label}（${remaining} 秒内可撤销）`;
+        };
+
+        this.pendingDeletion = {
+            ids: [...ids],
+            timer: setTimeout(() => this.commitDeletion(), UNDO_WINDOW_MS),
+            countdown: setInterval(() => {
+                remaining = Math.max(0, remaining - 1);
+                updateToast();
+            }, 1000)
+        };
+
+        updateToast();
+        this.elements.undoToast.classList.remove('hidden');
+        this.displayData();
+    }
+
+    undoDeletion() {
+        if (!this.pendingDeletion) return;
+
+        clearTimeout(this.pendingDeletion.timer);
+        clearInterval(this.pendingDeletion.countdown);
+        this.pendingDeletion = null;
+        this.elements.undoToast.classList.add('hidden');
+        this.displayData();
+        this.showStatus('connected', '已撤销删除');
+    }
+
+    async commitDeletion() {
+        if (!this.pendingDeletion) return;
+
+        const { ids, timer, countdown } = this.pendingDeletion;
+        clearTimeout(timer);
+        clearInterval(countdown);
+        this.pendingDeletion = null;
+        this.elements.undoToast.classList.add('hidden');
+
+        const names = new Map(ids.map(id => [id, (this.findRecord(id) || {}).store_name]));
+        const failed = await this.runRecordAction(
+            ids,
+            id => this.api.delete(`/api/surveys/${id}`),
+            record => { record.deleted = true; }
+        );
+        ids.filter(id => !failed.includes(id)).forEach(id => {
+            this.audit('record.delete', id, { before: { store_name: names.get(id) || null }, after: { deleted: true } });
+        });
+        this.reportActionResult('删除', ids, failed);
+        this.afterRecordsChanged(ids, { removeFromMirror: true });
+    }
+
+    // 在当前页、门店档案、跨页选中项与当前打开的记录中查找
+    findRecord(id) {
+        return this.currentData.find(r => r.id === id) ||
+            this.profileRecords.find(r => r.id === id) ||
+            this.selection.get(id) ||
+            (this.currentRecord && this.currentRecord.id === id ? this.currentRecord : undefined);
+    }
+
+    // 按 id 获取单条记录：先查已加载的数据，再查数据源
+    async fetchRecord(id) {
+        const loaded = this.findRecord(id);
+        if (loaded) return loaded;
+
+        if (this.dataMode === 'file') {
+            return this.localDataset ? this.localDataset.records.find(r => r.id === id && !r.deleted) : undefined;
+        }
+
+        const source = this.elements.apiUrl.value.trim();
+        try {
+            const data = await this.api.get(`/api/surveys/${id}`);
+            return data.row || data;
+        } catch (error) {
+            if (this.isConnectivityError(error) && this.offlineStore.supported) {
+                return await this.offlineStore.getRecord(source, id);
+            }
+            throw error;
+        }
+    }
+
+    viewRecord(id) {
+        const record = this.findRecord(id);
+        if (!record) return;
+        this.currentRecord = record;
+
+        document.getElementById('modalTitle').textContent = '数据详情';
+        this.switchTab('details');
+        this.elements.exportImageBtn.classList.add('hidden');
+
+        this.renderDetailsContent(record);
+        this.elements.detailModal.classList.add('active');
+        this.pushRecordRoute(id, 'details');
+    }
+
+    viewDiagnosis(id) {
+        const record = this.findRecord(id);
+        if (!record) return;
+        this.currentRecord = record;
+
+        document.getElementById('modalTitle').textContent = 'AI诊断报告';
+        this.switchTab('diagnosis');
+        this.elements.exportImageBtn.classList.remove('hidden');
+
+        // Lazy load diagnosis content
+        this.renderDiagnosisContent(record);
+        this.elements.detailModal.classList.add('active');
+        this.pushRecordRoute(id, 'diagnosis');
+    }
+
+    viewStoreProfile(id) {
+        const record = this.findRecord(id);
+        if (!record) return;
+        this.currentRecord = record;
+
+        document.getElementById('modalTitle').textContent = '门店档案';
+        this.switchTab('profile');
+        this.elements.exportImageBtn.classList.add('hidden');
+
+        this.renderStoreProfile(record);
+        this.elements.detailModal.classList.add('active');
+        this.pushRecordRoute(id, 'profile');
+    }
+
+    // 拉取同一门店识别码的全部历史提交（按提交时间升序）
+    async fetchStoreSubmissions(storeIdentifier) {
+        if (this.dataMode === 'file') {
+            return applySurveyQuery(this.localDataset.records, {
+                filters: { store_identifier: storeIdentifier },
+                sort: { field: 'timestamp', order: 'asc' }
+            }).rows;
+        }
+
+        // 分页取完该门店的全部提交，提交很多的门店也包含最新的记录
+        let rows = [];
+        try {
+            let total = Infinity;
+            let fetched = 0;
+            for (let pageIndex = 0; fetched < total; pageIndex++) {
+                if (pageIndex >= STORE_PROFILE_MAX_PAGES) {
+                    console.warn(`⚠️ 门店 ${storeIdentifier} 的提交超过 ${STORE_PROFILE_MAX_PAGES} 页，只汇总已加载的部分`);
+                    this.showStatus('error', `门店提交过多，门店档案只汇总了前 ${fetched} 条记录`);
+                    break;
+                }
+                const query = new URLSearchParams({
+                    store_identifier: storeIdentifier,
+                    limit: BULK_PAGE_SIZE,
+                    offset: fetched,
+                    sort: 'timestamp',
+                    order: 'asc'
+                }).toString();
+                const data = await this.fetchSurveys(query, { channel: 'storeProfile' });
+                const page = data.rows || [];
+                total = data.total || 0;
+                fetched += page.length;
+                // 后端未按识别码筛选时整页都不属于该门店，不再继续翻页
+                const matching = page.filter(r => r.store_identifier === storeIdentifier);
+                rows.push(...matching);
+                if (matching.length === 0) break;
+            }
+            this.mirrorRecords(rows);
+        } catch (error) {
+            if (!this.isConnectivityError(error) || !this.offlineStore.supported) throw error;
+            const local = await this.offlineStore.query(this.elements.apiUrl.value.trim(), {
+                filters: { store_identifier: storeIdentifier }
+            });
+            rows = local.rows;
+        }
+
+        // 后端若不支持 store_identifier 精确匹配，在前端再过滤一次
+        return rows
+            .filter(r => r.store_identifier === storeIdentifier)
+            .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+    }
+
+    async renderStoreProfile(record) {
+        const container = this.elements.profileContent;
+        const storeIdentifier = record.store_identifier;
+
+        if (!storeIdentifier) {
+            container.innerHTML = `
+                <div class="p-8 text-center text-gray-500">
+                    <i class="fas fa-store-slash text-4xl mb-4"></i>
+                    <p>该记录没有门店识别码，无法汇总门店档案</p>
+                </div>
+            `;
+            return;
+        }
+
+        container.innerHTML = `
+            <div class="text-center py-8">
+                <div class="spinner mx-auto mb-4"></div>
+                <p>正在加载门店历史记录...</p>
+            </div>
+        `;
+
+        let submissions;
+        try {
+            submissions = await this.fetchStoreSubmissions(storeIdentifier);
+        } catch (error) {
+            if (error.type === 'aborted') return;
+            console.error('加载门店档案失败:', error);
+            submissions = [];
+        }
+
+        // 加载期间用户可能已切换到其他门店
+        if (!this.currentRecord || this.currentRecord.store_identifier !== storeIdentifier) return;
+
+        if (submissions.length === 0) {
+            submissions = [record];
+        }
+        this.profileRecords = submissions;
+        this.compareSelection = [];
+
+        const scored = submissions.map(submission => {
+            const kpi = this.diagnosis.calculateKPI(this.toSurveyRecord(submission));
+            return { record: submission, score: this.diagnosis.calculateOverallScore(kpi) };
+        });
+        const latest = scored[scored.length - 1];
+        const healthLevel = this.diagnosis.getHealthLevel(latest.score);
+
+        container.innerHTML = `
+            ${this.renderProfileHeader(latest.record, submissions, latest.score, healthLevel)}
+            <div class="grid grid-cols-1 lg:grid-cols-3 gap-6">
+                <div class="lg:col-span-2">${this.renderProfileTimeline(scored)}</div>
+                <div>
+                    ${this.renderProfileTasks(storeIdentifier)}
+                    ${this.renderProfileNotes(storeIdentifier)}
+                </div>
+            </div>
+        `;
+    }
+
+    renderProfileHeader(latestRecord, submissions, score, healthLevel) {
+        return `
+            <div class="grid grid-cols-1 md:grid-cols-4 gap-4 mb-6">
+                <div class="md:col-span-2 bg-gray-50 p-4 rounded-lg">
+                    <div class="text-xl font-bold text-gray-900">${latestRecord.store_name || '-'}</div>
+                    <div class="font-mono text-blue-600 text-sm mt-1">${latestRecord.store_identifier}</div>
+                    <div class="text-sm text-gray-600 mt-2">
+                        ${latestRecord.business_type || '-'} · ${latestRecord.business_circle || '-'} · ${latestRecord.decoration_level || '-'}
+                    </div>
+                </div>
+                <div class="bg-blue-50 p-4 rounded-lg">
+                    <div class="text-2xl font-bold text-blue-600">${submissions.length}</div>
+                    <div class="text-sm text-gray-600">历史提交次数</div>
+                    <div class="text-xs text-gray-500 mt-1">首次: ${this.formatDate(submissions[0].timestamp)}</div>
+                </div>
+                <div class="p-4 rounded-lg" style="background: ${healthLevel.bgColor};">
+                    <div class="text-2xl font-bold" style="color: ${healthLevel.color};">${score}分</div>
+                    <div class="text-sm text-gray-600">最新诊断评分 ${healthLevel.label}</div>
+                    <div class="text-xs text-gray-500 mt-1">${this.formatDate(latestRecord.timestamp)}</div>
+                </div>
+            </div>
+        `;
+    }
+
+    renderProfileTimeline(scored) {
+        const items = scored.map((entry, index) => {
+            const { record, score } = entry;
+            const previous = index > 0 ? scored[index - 1] : null;
+            const scoreDelta = previous ? score - previous.score : 0;
+            const deltaHtml = previous && scoreDelta !== 0
+                ? `<span class="${scoreDelta > 0 ? 'text-green-600' : 'text-red-600'} text-xs ml-1">${scoreDelta > 0 ? '+' : ''}${scoreDelta}</span>`
+                : '';
+
+            return `
+                <div class="relative pl-6 pb-6 border-l-2 border-blue-200">
+                    <span class="absolute -left-2 top-1 w-3.5 h-3.5 rounded-full bg-blue-500 border-2 border-white"></span>
+                    <div class="flex justify-between items-start">
+                        <div>
+                            <div class="font-semibold text-gray-900">${this.formatDate(record.timestamp)}</div>
+                            <div class="text-xs text-gray-500">记录ID ${record.id} · 第 ${record.update_count || 0} 次更新</div>
+                        </div>
+                        <div class="text-sm font-semibold text-gray-700">${score}分${deltaHtml}</div>
+                    </div>
+                    <div class="grid grid-cols-3 gap-2 text-sm text-gray-600 mt-2">
+                        <span>月营收: ¥${this.formatNumber(record.monthly_revenue)}</span>
+                        <span>日均客流: ${record.daily_customers || '-'}</span>
+                        <span>评分: ${record.average_rating || '-'}</span>
+                    </div>
+                    <div class="mt-2 text-sm flex items-center">
+                        <label class="mr-3 text-gray-600 cursor-pointer">
+                            <input type="checkbox" class="compare-checkbox mr-1" data-record-id="${record.id}"
+                                   onchange="app.toggleCompareSelection(${record.id}, this.checked)">对比
+                        </label>
+                        <button onclick="app.viewRecord(${record.id})" class="text-blue-500 hover:text-blue-700 mr-3">
+                            <i class="fas fa-eye mr-1"></i>详情
+                        </button>
+                        <button onclick="app.viewDiagnosis(${record.id})" class="text-purple-500 hover:text-purple-700">
+                            <i class="fas fa-stethoscope mr-1"></i>诊断
+                        </button>
+                    </div>
+                </div>
+            `;
+        }).reverse().join('');
+
+        return `
+            <div class="flex justify-between items-center mb-4">
+                <h3 class="text-lg font-semibold text-gray-900 flex items-center">
+                    <i class="fas fa-history text-blue-500 mr-2"></i>提交时间线
+                </h3>
+                <button id="compareSubmissionsBtn" onclick="app.compareSelectedSubmissions()" disabled
+                        class="bg-blue-600 text-white px-3 py-1 rounded-md text-sm hover:bg-blue-700 disabled:opacity-50">
+                    <i class="fas fa-columns mr-1"></i>对比所选 (0/2)
+                </button>
+            </div>
+            <div class="ml-2">${items}</div>
+        `;
+    }
+
+    // 最多保留两条待对比记录，勾选第三条时取消最早勾选的那条
+    toggleCompareSelection(id, checked) {
+        this.compareSelection = this.compareSelection.filter(selectedId => selectedId !== id);
+        if (checked) {
+            this.compareSelection.push(id);
+            if (this.compareSelection.length > 2) {
+                const droppedId = this.compareSelection.shift();
+                const droppedBox = this.elements.profileContent.querySelector(`.compare-checkbox[data-record-id="${droppedId}"]`);
+                if (droppedBox) droppedBox.checked = false;
+            }
+        }
+
+        const button = document.getElementById('compareSubmissionsBtn');
+        if (button) {
+            button.disabled = this.compareSelection.length !== 2;
+            button.innerHTML = `<i class="fas fa-columns mr-1"></i>对比所选 (${this.compareSelection.length}/2)`;
+        }
+    }
+
+    compareSelectedSubmissions() {
+        if (this.compareSelection.length !== 2) return;
+        this.compareSubmissions(...this.compareSelection);
+    }
+
+    // 对比同一门店的两次提交，较早的一次作为基准
+    compareSubmissions(idA, idB) {
+        const recordA = this.findRecord(idA);
+        const recordB = this.findRecord(idB);
+        if (!recordA || !recordB) return;
+
+        if (recordA.store_identifier !== recordB.store_identifier) {
+            alert('只能对比同一门店识别码的两次提交');
+            return;
+        }
+
+        const [base, target] = new Date(recordA.timestamp) <= new Date(recordB.timestamp)
+            ? [recordA, recordB]
+            : [recordB, recordA];
+
+        this.switchTab('profile');
+        this.elements.profileContent.innerHTML = `
+            <div class="flex justify-between items-center mb-4">
+                <h3 class="text-lg font-semibold text-gray-900">
+                    ${target.store_name || target.store_identifier} · 提交对比
+                </h3>
+                <button onclick="app.renderStoreProfile(app.currentRecord)" class="text-sm text-blue-600 hover:text-blue-800">
+                    <i class="fas fa-arrow-left mr-1"></i>返回门店档案
+                </button>
+            </div>
+            ${this.renderFieldComparison(base, target)}
+            ${this.renderKPIComparison(base, target)}
+        `;
+    }
+
+    // 计算数值差异：绝对差与相对变化率（基准为0时变化率为 null）
+    calculateDelta(baseValue, targetValue) {
+        const from = Number(baseValue) || 0;
+        const to = Number(targetValue) || 0;
+        const delta = to - from;
+        return {
+            delta,
+            percent: from !== 0 ? (delta / Math.abs(from)) * 100 : null
+        };
+    }
+
+    renderDeltaCells(baseValue, targetValue, options = {}) {
+        const { delta, percent } = this.calculateDelta(baseValue, targetValue);
+        if (delta === 0) {
+            return '<td class="text-gray-400">-</td><td class="text-gray-400">-</td>';
+        }
+
+        const improved = options.lowerIsBetter ? delta < 0 : delta > 0;
+        const colorClass = improved ? 'text-green-700 bg-green-50' : 'text-red-700 bg-red-50';
+        const arrow = delta > 0 ? 'fa-arrow-up' : 'fa-arrow-down';
+        const formatDelta = options.formatDelta || (value => this.formatNumber(Math.abs(value)));
+        const percentText = percent === null ? '-' : `${percent > 0 ? '+' : ''}${percent.toFixed(1)}%`;
+
+        return `
+            <td class="${colorClass}"><i class="fas ${arrow} mr-1"></i>${formatDelta(delta)}</td>
+            <td class="${colorClass}">${percentText}</td>
+        `;
+    }
+
+    renderComparisonHeader(base, target, firstColumn) {
+        return `
+            <thead>
+                <tr>
+                    <th>${firstColumn}</th>
+                    <th>${this.formatDate(base.timestamp)}<div class="text-xs text-gray-400 font-normal">ID ${base.id}</div></th>
+                    <th>${this.formatDate(target.timestamp)}<div class="text-xs text-gray-400 font-normal">ID ${target.id}</div></th>
+                    <th>变化</th>
+                    <th>变化率</th>
+                </tr>
+            </thead>
+        `;
+    }
+
+    renderFieldComparison(base, target) {
+        const rows = this.getRecordFieldSections().map(section => `
+            <tr><td colspan="5" class="font-semibold text-gray-700 bg-gray-100">
+                <i class="fas ${section.icon} text-${section.color}-500 mr-2"></i>${section.title}
+            </td></tr>
+            ${section.fields.map(field => {
+                const changed = !field.numeric && String(base[field.key] ?? '') !== String(target[field.key] ?? '');
+                const deltaCells = field.numeric
+                    ? this.renderDeltaCells(base[field.key], target[field.key], { lowerIsBetter: field.lowerIsBetter })
+                    : `<td colspan="2" class="${changed ? 'text-yellow-700 bg-yellow-50' : 'text-gray-400'}">${changed ? '已变更' : '-'}</td>`;
+                return `
+                    <tr>
+                        <td class="text-gray-600">${field.label}</td>
+                        <td>${this.formatFieldValue(field, base) || '-'}</td>
+                        <td>${this.formatFieldValue(field, target) || '-'}</td>
+                        ${deltaCells}
+                    </tr>
+                `;
+            }).join('')}
+        `).join('');
+
+        return `
+            <table class="health-table mb-8">
+                ${this.renderComparisonHeader(base, target, '字段')}
+                <tbody>${rows}</tbody>
+            </table>
+        `;
+    }
+
+    renderKPIComparison(base, target) {
+        const percent = value => (value * 100).toFixed(1) + '%';
+        const decimal = value => Number(value).toFixed(2);
+        const integer = value => this.formatNumber(Math.round(value));
+        const kpiFields = [
+            { key: 'overall_score', label: '综合诊断评分', format: integer },
+            { key: 'gross_margin', label: '毛利率', format: percent, isRatio: true },
+            { key: 'food_cost_ratio', label: '食材成本率', format: percent, isRatio: true, lowerIsBetter: true },
+            { key: 'labor_cost_ratio', label: '人力成本率', format: percent, isRatio: true, lowerIsBetter: true },
+            { key: 'rent_cost_ratio', label: '租金成本率', format: percent, isRatio: true, lowerIsBetter: true },
+            { key: 'marketing_cost_ratio', label: '营销费用率', format: percent, isRatio: true, lowerIsBetter: true },
+            { key: 'utility_cost_ratio', label: '水电气成本率', format: percent, isRatio: true, lowerIsBetter: true },
+            { key: 'table_turnover', label: '翻台率', format: decimal },
+            { key: 'revenue_per_sqm', label: '坪效 (元/平米)', format: integer },
+            { key: 'revenue_per_employee', label: '人效 (元/人)', format: integer },
+            { key: 'avg_spending', label: '客单价', format: decimal },
+            { key: 'member_repurchase', label: '复购率', format: percent, isRatio: true },
+            { key: 'takeaway_ratio', label: '线上营收占比', format: percent, isRatio: true },
+            { key: 'negative_comment_rate', label: '差评率', format: percent, isRatio: true, lowerIsBetter: true },
+            { key: 'content_marketing_index', label: '内容营销指数', format: integer },
+            { key: 'location_match_score', label: '选址匹配度', format: integer },
+            { key: 'marketing_health_score', label: '营销健康度', format: integer }
+        ];
+
+        const withScore = record => {
+            const kpi = this.diagnosis.calculateKPI(this.toSurveyRecord(record));
+            return { ...kpi, overall_score: this.diagnosis.calculateOverallScore(kpi) };
+        };
+        const baseKPI = withScore(base);
+        const targetKPI = withScore(target);
+
+        const rows = kpiFields.map(field => {
+            // 比率类指标的变化以百分点展示
+            const formatDelta = field.isRatio
+                ? value => (Math.abs(value) * 100).toFixed(1) + ' 个百分点'
+                : value => field.format(Math.abs(value));
+            return `
+                <tr>
+                    <td class="text-gray-600">${field.label}</td>
+                    <td>${field.format(baseKPI[field.key] || 0)}</td>
+                    <td>${field.format(targetKPI[field.key] || 0)}</td>
+                    ${this.renderDeltaCells(baseKPI[field.key], targetKPI[field.key], { lowerIsBetter: field.lowerIsBetter, formatDelta })}
+                </tr>
+            `;
+        }).join('');
+
+        return `
+            <h3 class="text-lg font-semibold text-gray-900 mb-3 flex items-center">
+                <i class="fas fa-tachometer-alt text-purple-500 mr-2"></i>KPI 变化
+            </h3>
+            <table class="health-table">
+                ${this.renderComparisonHeader(base, target, '指标')}
+                <tbody>${rows}</tbody>
+            </table>
+        `;
+    }
 
-        // Lazy load diagnosis content
-        this.renderDiagnosisContent(record);
-        this.elements.detailModal.classList.add('active');
+    renderProfileTasks(storeIdentifier) {
+        const statusLabels = { pending: '待处理', ongoing: '进行中', completed: '已完成' };
+        const tasks = getStoreMarketingTasks(storeIdentifier);
+
+        return `
+            <div class="mb-6">
+                <h3 class="text-lg font-semibold text-gray-900 mb-3 flex items-center">
+                    <i class="fas fa-tasks text-orange-500 mr-2"></i>营销任务 (${tasks.length})
+                </h3>
+                ${tasks.length === 0 ? '<p class="text-sm text-gray-500">暂无关联任务</p>' : tasks.map(task => `
+                    <div class="flex justify-between py-2 border-b border-gray-100 text-sm">
+                        <span class="${task.checked ? 'line-through text-gray-400' : 'text-gray-800'}">${task.title}</span>
+                        <span class="text-gray-500">${statusLabels[task.status] || task.status}</span>
+                    </div>
+                `).join('')}
+            </div>
+        `;
     }
 
-    renderDetailsContent(record) {
-        const sections = [
+    renderProfileNotes(storeIdentifier) {
+        const notes = [
+            { label: '管理员建议', key: 'adminNotes' },
+            { label: '客户体验分析', key: 'experienceAnalysisContent' },
+            { label: '营销策略', key: 'marketingStrategyContent' }
+        ]
+            .map(note => ({ ...note, content: localStorage.getItem(storeScopedKey(note.key, storeIdentifier)) }))
+            .filter(note => note.content);
+
+        return `
+            <div>
+                <h3 class="text-lg font-semibold text-gray-900 mb-3 flex items-center">
+                    <i class="fas fa-sticky-note text-yellow-500 mr-2"></i>门店笔记
+                </h3>
+                ${notes.length === 0 ? '<p class="text-sm text-gray-500">暂无保存的笔记</p>' : notes.map(note => `
+                    <div class="info-card text-sm">
+                        <div class="font-semibold text-gray-700 mb-2">${note.label}</div>
+                        <div class="text-gray-800">${note.content}</div>
+                    </div>
+                `).join('')}
+            </div>
+        `;
+    }
+
+    // 调查记录字段定义：详情展示、提交对比与编辑共用
+    // numeric 字段参与差异计算，lowerIsBetter 表示数值下降为改善，readOnly 字段不可编辑
+    getRecordFieldSections() {
+        const money = value => '¥' + this.formatNumber(value);
+        const withUnit = unit => value => value + unit;
+        const numberWithUnit = unit => value => this.formatNumber(value) + unit;
+
+        return [
             {
                 title: '基本信息',
                 icon: 'fa-info-circle',
                 color: 'blue',
                 fields: [
-                    { label: '记录ID', value: record.id },
-                    { label: '提交时间', value: this.formatDate(record.timestamp) },
-                    { label: '门店识别码', value: record.store_identifier },
-                    { label: '门店名称', value: record.store_name },
-                    { label: '业态类型', value: record.business_type },
-                    { label: '门店面积', value: this.formatNumber(record.store_area) + ' 平方米' },
-                    { label: '商圈情况', value: record.business_circle },
-                    { label: '装修档次', value: record.decoration_level },
-                    { label: '更新次数', value: record.update_count || 0 }
+                    { key: 'id', label: '记录ID', readOnly: true },
+                    { key: 'timestamp', label: '提交时间', readOnly: true, format: value => this.formatDate(value) },
+                    { key: 'store_identifier', label: '门店识别码', readOnly: true },
+                    { key: 'store_name', label: '门店名称', required: true },
+                    { key: 'business_type', label: '业态类型', options: Object.keys(this.diagnosis.industryBenchmarks) },
+                    { key: 'store_area', label: '门店面积', numeric: true, format: numberWithUnit(' 平方米') },
+                    { key: 'business_circle', label: '商圈情况', options: Object.keys(this.diagnosis.businessCircleScores) },
+                    { key: 'decoration_level', label: '装修档次', options: Object.keys(this.diagnosis.decorationScores) },
+                    { key: 'update_count', label: '更新次数', readOnly: true, format: value => value || 0 }
                 ]
             },
             {
@@ -353,13 +3656,13 @@ class RestaurantSurveyApp {
                 icon: 'fa-money-bill-wave',
                 color: 'green',
                 fields: [
-                    { label: '月营业收入', value: '¥' + this.formatNumber(record.monthly_revenue) },
-                    { label: '线上营收', value: '¥' + this.formatNumber(record.online_revenue) },
-                    { label: '食材成本', value: '¥' + this.formatNumber(record.food_cost) },
-                    { label: '人力成本', value: '¥' + this.formatNumber(record.labor_cost) },
-                    { label: '租金成本', value: '¥' + this.formatNumber(record.rent_cost) },
-                    { label: '水电气成本', value: '¥' + this.formatNumber(record.utility_cost) },
-                    { label: '营销费用', value: '¥' + this.formatNumber(record.marketing_cost) }
+                    { key: 'monthly_revenue', label: '月营业收入', numeric: true, format: money },
+                    { key: 'online_revenue', label: '线上营收', numeric: true, format: money },
+                    { key: 'food_cost', label: '食材成本', numeric: true, lowerIsBetter: true, format: money },
+                    { key: 'labor_cost', label: '人力成本', numeric: true, lowerIsBetter: true, format: money },
+                    { key: 'rent_cost', label: '租金成本', numeric: true, lowerIsBetter: true, format: money },
+                    { key: 'utility_cost', label: '水电气成本', numeric: true, lowerIsBetter: true, format: money },
+                    { key: 'marketing_cost', label: '营销费用', numeric: true, lowerIsBetter: true, format: money }
                 ]
             },
             {
@@ -367,12 +3670,12 @@ class RestaurantSurveyApp {
                 icon: 'fa-chart-line',
                 color: 'purple',
                 fields: [
-                    { label: '日均客流', value: record.daily_customers + ' 人/天' },
-                    { label: '座位数', value: record.seats + ' 个' },
-                    { label: '总客流', value: this.formatNumber(record.total_customers) + ' 人/月' },
-                    { label: '复购老客户', value: this.formatNumber(record.repeat_customers) + ' 人/月' },
-                    { label: '线上主营平台', value: record.main_platforms },
-                    { label: '营销情况', value: record.marketing_situation }
+                    { key: 'daily_customers', label: '日均客流', numeric: true, format: withUnit(' 人/天') },
+                    { key: 'seats', label: '座位数', numeric: true, format: withUnit(' 个') },
+                    { key: 'total_customers', label: '总客流', numeric: true, format: numberWithUnit(' 人/月') },
+                    { key: 'repeat_customers', label: '复购老客户', numeric: true, format: numberWithUnit(' 人/月') },
+                    { key: 'main_platforms', label: '线上主营平台' },
+                    { key: 'marketing_situation', label: '营销情况', options: ['有自己团队', '找代运营', '老板运营', '无'] }
                 ]
             },
             {
@@ -380,18 +3683,36 @@ class RestaurantSurveyApp {
                 icon: 'fa-star',
                 color: 'orange',
                 fields: [
-                    { label: '平均评分', value: record.average_rating },
-                    { label: '总评论数', value: this.formatNumber(record.total_reviews) + ' 条/月' },
-                    { label: '差评数', value: this.formatNumber(record.bad_reviews) + ' 条/月' },
-                    { label: '服务差评', value: this.formatNumber(record.service_bad_reviews) + ' 条/月' },
-                    { label: '口味差评', value: this.formatNumber(record.taste_bad_reviews) + ' 条/月' },
-                    { label: '短视频发布量', value: this.formatNumber(record.short_video_count) + ' 条/月' },
-                    { label: '直播场次', value: record.live_stream_count + ' 场/月' }
+                    { key: 'average_rating', label: '平均评分', numeric: true, max: 5 },
+                    { key: 'total_reviews', label: '总评论数', numeric: true, format: numberWithUnit(' 条/月') },
+                    { key: 'bad_reviews', label: '差评数', numeric: true, lowerIsBetter: true, format: numberWithUnit(' 条/月') },
+                    { key: 'service_bad_reviews', label: '服务差评', numeric: true, lowerIsBetter: true, format: numberWithUnit(' 条/月') },
+                    { key: 'taste_bad_reviews', label: '口味差评', numeric: true, lowerIsBetter: true, format: numberWithUnit(' 条/月') },
+                    { key: 'short_video_count', label: '短视频发布量', numeric: true, format: numberWithUnit(' 条/月') },
+                    { key: 'live_stream_count', label: '直播场次', numeric: true, format: withUnit(' 场/月') }
                 ]
             }
         ];
+    }
+
+    // 返回可直接插入 HTML 的文本（已转义）；空值返回空字符串
+    formatFieldValue(field, record) {
+        const value = record[field.key];
+        const text = field.format ? field.format(value) : value;
+        return text === undefined || text === null || text === '' ? '' : this.escapeHTML(text);
+    }
 
-        let html = '';
+    renderDetailsContent(record) {
+        const sections = this.getRecordFieldSections();
+        const model = this.toSurveyRecord(record);
+
+        let html = `
+            <div class="flex justify-end mb-4">
+                <button onclick="app.renderDetailsEditor(app.currentRecord)" class="edit-action bg-blue-600 text-white px-4 py-2 rounded-md hover:bg-blue-700 text-sm">
+                    <i class="fas fa-edit mr-2"></i>编辑记录
+                </button>
+            </div>
+        `;
         sections.forEach(section => {
             html += `
                 <div class="mb-6">
@@ -403,7 +3724,10 @@ class RestaurantSurveyApp {
                         ${section.fields.map(field => `
                             <div class="flex justify-between py-2 border-b border-gray-100">
                                 <span class="text-gray-600">${field.label}:</span>
-                                <span class="font-medium">${field.value || '-'}</span>
+                                <span class="font-medium">
+                                    ${this.formatFieldValue(field, record) || '-'}
+                                    ${model.isDefaulted(field.key) ? '<span class="ml-1 text-xs text-yellow-700" title="缺失或无法识别，诊断中按默认值计算">（默认值）</span>' : ''}
+                                </span>
                             </div>
                         `).join('')}
                     </div>
@@ -411,9 +3735,264 @@ class RestaurantSurveyApp {
             `;
         });
 
+        html += this.renderEditHistory(record.id);
         this.elements.detailsContent.innerHTML = html;
     }
 
+    // ==================== 记录编辑 ====================
+
+    renderFieldInput(field, record) {
+        const value = record[field.key] ?? '';
+        const inputClass = 'w-full px-2 py-1 border border-gray-300 rounded-md text-sm';
+
+        if (field.options) {
+            const options = field.options.includes(value) || value === '' ? field.options : [value, ...field.options];
+            return `
+                <select name="${field.key}" class="${inputClass}">
+                    <option value="">-</option>
+                    ${options.map(option => `<option value="${this.escapeHTML(option)}" ${option === value ? 'selected' : ''}>${this.escapeHTML(option)}</option>`).join('')}
+                </select>
+            `;
+        }
+        if (field.numeric) {
+            return `<input type="number" name="${field.key}" value="${this.escapeHTML(value)}" min="0" ${field.max ? `max="${field.max}"` : ''} step="any" class="${inputClass}">`;
+        }
+        return `<input type="text" name="${field.key}" value="${this.escapeHTML(value)}" class="${inputClass}">`;
+    }
+
+    renderDetailsEditor(record) {
+        if (!this.requirePermission('edit')) return;
+        const sections = this.getRecordFieldSections();
+
+        this.elements.detailsContent.innerHTML = `
+            <form id="recordEditForm" novalidate>
+                ${sections.map(section => `
+                    <div class="mb-6">
+                        <h3 class="text-lg font-semibold text-gray-900 mb-3 flex items-center">
+                            <i class="fas ${section.icon} text-${section.color}-500 mr-2"></i>
+                            ${section.title}
+                        </h3>
+                        <div class="grid grid-cols-1 md:grid-cols-2 gap-4">
+                            ${section.fields.map(field => `
+                                <div class="flex justify-between items-center gap-4 py-2 border-b border-gray-100">
+                                    <label class="text-gray-600 whitespace-nowrap">${field.label}:</label>
+                                    <div class="w-1/2">
+                                        ${field.readOnly
+                                            ? `<span class="font-medium">${this.formatFieldValue(field, record) || '-'}</span>`
+                                            : this.renderFieldInput(field, record)}
+                                        <div class="field-error text-xs text-red-600 mt-1 hidden" data-error-for="${field.key}"></div>
+                                    </div>
+                                </div>
+                            `).join('')}
+                        </div>
+                    </div>
+                `).join('')}
+                <div class="mb-4">
+                    <label class="block text-gray-600 mb-2">修改说明</label>
+                    <input type="text" name="_reason" placeholder="例如：门店电话更正租金成本" class="w-full px-3 py-2 border border-gray-300 rounded-md text-sm">
+                </div>
+                <div class="flex justify-end gap-2">
+                    <button type="button" onclick="app.renderDetailsContent(app.currentRecord)" class="px-4 py-2 border border-gray-300 rounded-md hover:bg-gray-50">取消</button>
+                    <button type="submit" id="saveRecordBtn" class="bg-blue-600 text-white px-4 py-2 rounded-md hover:bg-blue-700">
+                        <i class="fas fa-save mr-2"></i>保存修改
+                    </button>
+                </div>
+            </form>
+        `;
+
+        document.getElementById('recordEditForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.saveRecordEdits(record, e.target);
+        });
+    }
+
+    // 读取表单并校验，返回 { changes, errors }
+    collectRecordEdits(record, form) {
+        const fields = this.getRecordFieldSections().flatMap(section => section.fields).filter(field => !field.readOnly);
+        const changes = [];
+        const errors = {};
+
+        fields.forEach(field => {
+            const raw = form.elements[field.key].value.trim();
+            let value = raw;
+
+            if (field.required && raw === '') {
+                errors[field.key] = `${field.label}不能为空`;
+                return;
+            }
+            if (field.numeric && raw === '') {
+                // 清空数值表示未填写，保存为 null 而不是 0
+                value = null;
+            } else if (field.numeric) {
+                value = Number(raw);
+                if (isNaN(value)) {
+                    errors[field.key] = '请输入数字';
+                    return;
+                }
+                if (value < 0) {
+                    errors[field.key] = '不能为负数';
+                    return;
+                }
+                if (field.max !== undefined && value > field.max) {
+                    errors[field.key] = `不能大于 ${field.max}`;
+                    return;
+                }
+            }
+
+            const before = record[field.key];
+            const unchanged = field.numeric ? parseSurveyNumber(before) === value : String(before ?? '') === value;
+            if (!unchanged) {
+                changes.push({ field: field.key, label: field.label, from: before ?? null, to: value });
+            }
+        });
+
+        return { changes, errors };
+    }
+
+    async saveRecordEdits(record, form) {
+        if (!this.requirePermission('edit')) return;
+        form.querySelectorAll('.field-error').forEach(el => el.classList.add('hidden'));
+
+        const { changes, errors } = this.collectRecordEdits(record, form);
+        if (Object.keys(errors).length > 0) {
+            Object.entries(errors).forEach(([key, message]) => {
+                const el = form.querySelector(`[data-error-for="${key}"]`);
+                el.textContent = message;
+                el.classList.remove('hidden');
+            });
+            return;
+        }
+        if (changes.length === 0) {
+            this.renderDetailsContent(record);
+            return;
+        }
+
+        const actor = this.getActorName();
+        if (!actor) return;
+
+        const reason = form.elements._reason.value.trim();
+        const updates = Object.fromEntries(changes.map(change => [change.field, change.to]));
+        const saveButton = document.getElementById('saveRecordBtn');
+        saveButton.disabled = true;
+        saveButton.innerHTML = '<i class="fas fa-spinner fa-spin mr-2"></i>保存中...';
+
+        try {
+            let updated = { ...record, ...updates };
+            if (this.dataMode === 'api') {
+                const response = await this.api.put(`/api/surveys/${record.id}`, {
+                    updates,
+                    changes: changes.map(({ field, from, to }) => ({ field, from, to })),
+                    changed_by: actor,
+                    reason
+                });
+                updated = { ...updated, ...((response && response.row) || {}) };
+            }
+
+            this.applyRecordUpdate(record.id, updated);
+            this.recordEditHistory(record.id, { actor, reason, changes, at: new Date().toISOString() });
+            this.audit('record.update', record.id, {
+                before: Object.fromEntries(changes.map(change => [change.field, change.from])),
+                after: { ...updates, ...(reason ? { reason } : {}) }
+            });
+            this.showStatus('connected', `已保存 ${changes.length} 项修改（记录 ${record.id}）`);
+
+            this.renderDetailsContent(this.currentRecord);
+            // 诊断依赖记录数据，保存后重新生成
+            if (this.elements.diagnosisContent.innerHTML.trim()) {
+                this.renderDiagnosisContent(this.currentRecord);
+            }
+        } catch (error) {
+            console.error('保存修改失败:', error);
+            alert('❌ 保存失败: ' + this.getErrorMessage(error));
+            saveButton.disabled = false;
+            saveButton.innerHTML = '<i class="fas fa-save mr-2"></i>保存修改';
+        }
+    }
+
+    // 将更新后的记录同步到所有持有它的地方，并作废受影响的缓存
+    applyRecordUpdate(id, updated) {
+        [this.currentData, this.profileRecords].forEach(list => {
+            const existing = list.find(r => r.id === id);
+            if (existing) {
+                Object.assign(existing, updated);
+                this.surveyRecords.delete(existing);
+            }
+        });
+        if (this.localDataset) {
+            const local = this.localDataset.records.find(r => r.id === id);
+            if (local) {
+                Object.assign(local, updated);
+                this.surveyRecords.delete(local);
+            }
+        }
+        if (this.currentRecord && this.currentRecord.id === id) {
+            Object.assign(this.currentRecord, updated);
+            this.surveyRecords.delete(this.currentRecord);
+        }
+
+        // 排序与筛选结果都可能因修改而变化，作废当前连接的全部缓存页
+        if (this.dataMode === 'api') {
+            this.cache.invalidatePrefix(this.getCachePrefix());
+            this.mirrorRecords([updated]);
+        }
+        this.displayData();
+    }
+
+    // 操作人姓名：首次修改时询问并记住
+    getActorName() {
+        let actor = localStorage.getItem('restaurantSurveyActor');
+        if (!actor) {
+            actor = (prompt('请输入您的姓名（用于记录修改人）：') || '').trim();
+            if (!actor) return null;
+            localStorage.setItem('restaurantSurveyActor', actor);
+        }
+        return actor;
+    }
+
+    getEditHistory(id) {
+        try {
+            const history = JSON.parse(localStorage.getItem(this.sourceScopedKey('surveyEditHistory'))) || {};
+            return history[id] || [];
+        } catch (error) {
+            console.error('读取修改记录失败:', error);
+            return [];
+        }
+    }
+
+    recordEditHistory(id, entry) {
+        try {
+            const history = JSON.parse(localStorage.getItem(this.sourceScopedKey('surveyEditHistory'))) || {};
+            history[id] = [entry, ...(history[id] || [])];
+            localStorage.setItem(this.sourceScopedKey('surveyEditHistory'), JSON.stringify(history));
+        } catch (error) {
+            console.error('保存修改记录失败:', error);
+        }
+    }
+
+    renderEditHistory(id) {
+        const history = this.getEditHistory(id);
+        if (history.length === 0) return '';
+
+        return `
+            <div class="mb-6">
+                <h3 class="text-lg font-semibold text-gray-900 mb-3 flex items-center">
+                    <i class="fas fa-history text-gray-500 mr-2"></i>修改记录
+                </h3>
+                ${history.map(entry => `
+                    <div class="info-card text-sm">
+                        <div class="flex justify-between text-gray-600 mb-2">
+                            <span><i class="fas fa-user mr-1"></i>${this.escapeHTML(entry.actor)}${entry.reason ? ` · ${this.escapeHTML(entry.reason)}` : ''}</span>
+                            <span>${this.formatDate(entry.at)}</span>
+                        </div>
+                        ${entry.changes.map(change => `
+                            <div>${this.escapeHTML(change.label)}: <span class="line-through text-gray-400">${this.escapeHTML(change.from ?? '-')}</span> → <span class="font-medium">${this.escapeHTML(change.to ?? '-')}</span></div>
+                        `).join('')}
+                    </div>
+                `).join('')}
+            </div>
+        `;
+    }
+
     async renderDiagnosisContent(record) {
         // Show loading state
         this.elements.diagnosisContent.innerHTML = `
@@ -440,17 +4019,137 @@ class RestaurantSurveyApp {
 }
 
     generateDiagnosisReport(record) {
-        const kpi = this.diagnosis.calculateKPI(record);
-        const benchmark = this.diagnosis.industryBenchmarks[record.business_type] || this.diagnosis.industryBenchmarks['其他'];
+        const quality = this.validateRecord(record);
+        const model = this.toSurveyRecord(record);
+        if (this.isDiagnosisBlocked(quality)) {
+            this.elements.diagnosisContent.innerHTML = this.renderDataQualityPanel(quality, { blocked: true, model });
+            return;
+        }
+
+        const kpi = this.diagnosis.calculateKPI(model);
+        const benchmark = this.diagnosis.industryBenchmarks[model.business_type] || this.diagnosis.industryBenchmarks['其他'];
 
         // Generate comprehensive diagnosis report
-        let html = this.diagnosis.generateReport(record, kpi, benchmark);
-        this.elements.diagnosisContent.innerHTML = html;
+        let html = this.diagnosis.generateReport(model, kpi, benchmark);
+        this.elements.diagnosisContent.innerHTML = this.renderDataQualityPanel(quality, { model }) + html;
 
         // 初始化富文本编辑器（在DOM渲染后）
         initAllRichTextEditors();
     }
 
+    // ==================== 记录模型 ====================
+
+    // 诊断算法只接收 SurveyRecord；同一行只解析一次，行被修改后由 applyRecordUpdate 作废
+    toSurveyRecord(row) {
+        let model = this.surveyRecords.get(row);
+        if (!model) {
+            model = SurveyRecord.from(row);
+            this.surveyRecords.set(row, model);
+        }
+        return model;
+    }
+
+    // ==================== 数据质量 ====================
+
+    validateRecord(record) {
+        return this.validator.validate(record);
+    }
+
+    isDiagnosisBlocked(quality) {
+        return this.qualityPolicy === 'block' && quality.critical > 0;
+    }
+
+    setQualityPolicy(policy) {
+        if (!this.requirePermission('manage')) {
+            this.elements.qualityPolicy.value = this.qualityPolicy;
+            return;
+        }
+        this.audit('settings.update', 'qualityPolicy', { before: { qualityPolicy: this.qualityPolicy }, after: { qualityPolicy: policy } });
+        this.qualityPolicy = policy;
+        localStorage.setItem('surveyQualityPolicy', policy);
+
+        // 正在查看诊断时按新设置重新生成
+        if (this.isModalOpen() && this.currentRecord && this.elements.diagnosisContent.innerHTML.trim()) {
+            this.renderDiagnosisContent(this.currentRecord);
+        }
+    }
+
+    // 从诊断中的数据质量面板跳转到字段编辑
+    editCurrentRecord() {
+        if (!this.currentRecord) return;
+        document.getElementById('modalTitle').textContent = '数据详情';
+        this.switchTab('details');
+        this.elements.exportImageBtn.classList.add('hidden');
+        this.renderDetailsEditor(this.currentRecord);
+    }
+
+    renderQualityBadge(quality) {
+        if (quality.issues.length === 0) return '';
+        const critical = quality.critical > 0;
+        const title = quality.issues.map(issue => `${issue.severity === 'critical' ? '✖' : '⚠'} ${issue.message}`).join('\n');
+        return `
+            <span class="inline-flex items-center mr-2 px-1.5 py-0.5 rounded text-xs ${critical ? 'bg-red-100 text-red-700' : 'bg-yellow-100 text-yellow-800'}"
+                  title="${this.escapeHTML(title)}">
+                <i class="fas ${critical ? 'fa-times-circle' : 'fa-exclamation-triangle'} mr-1"></i>${quality.issues.length}
+            </span>
+        `;
+    }
+
+    /**
+     * 诊断顶部的“数据质量”面板
+     * @param {Object} quality - validateRecord() 的结果
+     * @param {Object} [options]
+     * @param {boolean} [options.blocked] - 已按设置阻止生成诊断
+     * @param {boolean} [options.editable=true] - 显示“修正数据”按钮（导出的批量报告中不显示）
+     * @param {SurveyRecord} [options.model] - 记录模型，用于列出诊断中按默认值计算的字段
+     */
+    renderDataQualityPanel(quality, { blocked = false, editable = true, model = null } = {}) {
+        const defaulted = model && model.defaultedFields.length > 0
+            ? `<p class="mt-2 text-xs">以下字段缺失或无法识别，诊断中已按默认值计算：${model.defaultedFields.map(field => this.escapeHTML(this.validator.label(field))).join('、')}</p>`
+            : '';
+
+        if (quality.issues.length === 0) {
+            return `
+                <div class="mb-4 p-3 rounded-md bg-green-50 text-green-800 text-sm">
+                    <i class="fas fa-check-circle mr-2"></i>数据质量：未发现异常
+                    ${defaulted}
+                </div>
+            `;
+        }
+
+        const critical = quality.critical > 0;
+        const summary = blocked
+            ? `存在 ${quality.critical} 项严重数据错误，已按设置停止生成诊断。请修正数据后重试。`
+            : critical
+                ? `存在 ${quality.critical} 项严重数据错误，以下诊断结论可能不可靠。`
+                : `发现 ${quality.warnings} 项可疑数据，请核实后参考诊断结论。`;
+
+        return `
+            <div class="mb-4 p-4 rounded-md border text-sm ${critical ? 'bg-red-50 border-red-200 text-red-800' : 'bg-yellow-50 border-yellow-200 text-yellow-800'}">
+                <div class="flex justify-between items-center mb-2">
+                    <h3 class="font-semibold">
+                        <i class="fas ${critical ? 'fa-times-circle' : 'fa-exclamation-triangle'} mr-2"></i>数据质量
+                    </h3>
+                    ${editable ? `
+                        <button onclick="app.editCurrentRecord()" class="edit-action px-3 py-1 bg-white border border-current rounded-md text-xs">
+                            <i class="fas fa-edit mr-1"></i>修正数据
+                        </button>
+                    ` : ''}
+                </div>
+                <p class="mb-2">${summary}</p>
+                <ul class="list-disc pl-5 space-y-1">
+                    ${quality.issues.map(issue => `
+                        <li>
+                            <span class="font-semibold">${issue.severity === 'critical' ? '严重' : '可疑'}</span>
+                            ${this.escapeHTML(issue.message)}
+                        </li>
+                    `).join('')}
+                </ul>
+                ${defaulted}
+            </div>
+        `;
+    }
+
     switchTab(tabName) {
         // Update tab buttons
         document.querySelectorAll('.tab-button').forEach(btn => btn.classList.remove('active'));
@@ -461,11 +4160,26 @@ class RestaurantSurveyApp {
         document.getElementById(`${tabName}Tab`).classList.add('active');
     }
 
+    // 关闭弹窗并回到列表路由：弹窗由本页打开时用后退，保证浏览器历史一致
     closeModal() {
+        this.hideModal();
+        if (history.state && history.state.recordRoute) {
+            history.back();
+        } else {
+            this.router.replace(this.listRoute);
+        }
+    }
+
+    hideModal() {
         this.elements.detailModal.classList.remove('active');
     }
 
+    isModalOpen() {
+        return this.elements.detailModal.classList.contains('active');
+    }
+
     async exportToImage() {
+        if (!this.requirePermission('export')) return;
         // 使用正确的诊断内容容器
         const element = document.getElementById('diagnosisContent');
 
@@ -574,6 +4288,7 @@ class RestaurantSurveyApp {
             link.download = `${storeName}_AI诊断报告_${date}.png`;
             link.href = canvas.toDataURL('image/png', 1.0); // 最高质量
             link.click();
+            this.audit('report.export', this.currentRecord ? this.currentRecord.id : null, { after: { format: 'png' } });
 
             // 成功提示（显示实际导出尺寸）
             const actualWidth = canvas.width / SCALE;
@@ -602,31 +4317,346 @@ class RestaurantSurveyApp {
         }
     }
 
-    exportToCSV() {
-        if (this.currentData.length === 0) {
+    // ==================== 数据导出 ====================
+
+    /**
+     * 可导出的列分组：记录原始字段（含字段表之外的字段）+ 计算指标
+     * 每列为 { id, label, value(record, kpi), kpi?, percent?, currency? }
+     */
+    getExportColumnGroups(sampleRecords) {
+        const sections = this.getRecordFieldSections();
+        const knownKeys = new Set(sections.flatMap(section => section.fields.map(field => field.key)));
+        const extraKeys = [...new Set(sampleRecords.flatMap(record => Object.keys(record)))]
+            .filter(key => !knownKeys.has(key));
+
+        const groups = sections.map(section => ({
+            title: section.title,
+            columns: section.fields.map(field => ({
+                id: field.key,
+                label: field.label,
+                numeric: field.numeric,
+                currency: /revenue|cost/.test(field.key),
+                value: record => field.key === 'timestamp' ? this.formatDate(record.timestamp) : record[field.key]
+            }))
+        }));
+
+        if (extraKeys.length > 0) {
+            groups.push({
+                title: '其他字段',
+                columns: extraKeys.map(key => ({ id: key, label: key, value: record => record[key] }))
+            });
+        }
+
+        // 未列出的 KPI 数值字段按原名导出
+        const sampleKPI = sampleRecords.length > 0 ? this.diagnosis.calculateKPI(this.toSurveyRecord(sampleRecords[0])) : {};
+        const labelledKeys = new Set(KPI_EXPORT_COLUMNS.map(column => column.key));
+        const otherKPIKeys = Object.keys(sampleKPI)
+            .filter(key => !labelledKeys.has(key) && typeof sampleKPI[key] === 'number');
+
+        groups.push({
+            title: '计算指标 (KPI)',
+            columns: [
+                ...KPI_EXPORT_COLUMNS,
+                ...otherKPIKeys.map(key => ({ key, label: key }))
+            ].map(column => ({
+                ...column,
+                id: `kpi:${column.key}`,
+                kpi: true,
+                value: (record, kpi) => column.key === 'overall_score'
+                    ? this.diagnosis.calculateOverallScore(kpi)
+                    : kpi[column.key]
+            }))
+        });
+
+        return groups;
+    }
+
+    getSavedExportColumns() {
+        try {
+            const saved = JSON.parse(localStorage.getItem('surveyExportColumns'));
+            return Array.isArray(saved) ? new Set(saved) : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    openExportModal(scope = 'all') {
+        if (!this.requirePermission('export')) return;
+        if (this.currentData.length === 0 && this.selection.size === 0) {
             alert('没有数据可导出');
             return;
         }
 
-        const headers = ['ID', '提交时间', '门店识别码', '门店名称', '业态类型', '月营收', '日均客流', '更新次数'];
-        const csvContent = [
-            headers.join(','),
-            ...this.currentData.map(record => [
-                record.id,
-                this.formatDate(record.timestamp),
-                record.store_identifier || '',
-                record.store_name || '',
-                record.business_type || '',
-                record.monthly_revenue || 0,
-                record.daily_customers || 0,
-                record.update_count || 0
-            ].join(','))
-        ].join('\n');
+        const sampleRecords = [...this.currentData, ...this.getSelectedRecords()];
+        this.exportColumnGroups = this.getExportColumnGroups(sampleRecords);
+        const saved = this.getSavedExportColumns();
+
+        this.elements.exportColumnsContent.innerHTML = this.exportColumnGroups.map(group => `
+            <div class="mb-3">
+                <p class="text-xs font-semibold text-gray-500 mb-1">${group.title}</p>
+                <div class="grid grid-cols-2 md:grid-cols-3 gap-1 text-sm">
+                    ${group.columns.map(column => `
+                        <label class="flex items-center gap-1">
+                            <input type="checkbox" class="export-column" value="${column.id}" ${column.kpi ? 'data-kpi="1"' : ''}
+                                ${(saved ? saved.has(column.id) : !column.kpi) ? 'checked' : ''}>
+                            <span>${column.label}</span>
+                        </label>
+                    `).join('')}
+                </div>
+            </div>
+        `).join('');
+
+        this.elements.exportAllCount.textContent = this.totalRecords;
+        this.elements.exportSelectionCount.textContent = this.selection.size;
+        const selectionRadio = this.elements.exportModal.querySelector('input[name="exportScope"][value="selection"]');
+        selectionRadio.disabled = this.selection.size === 0;
+        const scopeRadio = this.elements.exportModal.querySelector(`input[name="exportScope"][value="${scope}"]`);
+        if (scopeRadio && !scopeRadio.disabled) scopeRadio.checked = true;
+
+        this.setExportProgress(null);
+        this.elements.confirmExport.disabled = false;
+        this.elements.exportModal.classList.add('active');
+    }
+
+    // 导出进行中时“取消”同时中止拉取，不再触发下载
+    closeExportModal() {
+        if (this.exportController) {
+            this.exportController.abort();
+            this.exportController = null;
+            this.api.cancel('export');
+        }
+        this.elements.exportModal.classList.remove('active');
+    }
+
+    setExportColumnsChecked(predicate) {
+        this.elements.exportColumnsContent.querySelectorAll('.export-column').forEach(box => {
+            box.checked = predicate(box);
+        });
+    }
+
+    // progress 为 null 时隐藏进度条
+    setExportProgress(progress, text = '') {
+        this.elements.exportProgress.classList.toggle('hidden', progress === null);
+        this.elements.exportProgressBar.style.width = `${Math.round((progress || 0) * 100)}%`;
+        this.elements.exportProgressText.textContent = text;
+    }
+
+    getCheckedExportColumns() {
+        const checked = [...this.elements.exportColumnsContent.querySelectorAll('.export-column:checked')]
+            .map(box => box.value);
+        localStorage.setItem('surveyExportColumns', JSON.stringify(checked));
+
+        const byId = new Map(this.exportColumnGroups.flatMap(group => group.columns).map(column => [column.id, column]));
+        return checked.map(id => byId.get(id)).filter(Boolean);
+    }
+
+    // 按导出范围取记录；“全部匹配记录”逐页拉取 /api/surveys，使当前筛选与视图同样生效
+    async getExportRecords(scope) {
+        if (scope === 'page') return this.currentData.filter(record => !this.isPendingDeletion(record.id));
+        if (scope === 'selection') return this.getSelectedRecords();
+
+        return this.fetchAllMatchingRecords((loaded, total) => {
+            this.setExportProgress(total > 0 ? loaded / total * 0.8 : 0.8, `正在加载记录 ${loaded}/${total}...`);
+        }, { channel: 'export' });
+    }
+
+    /**
+     * 逐条计算 KPI；大数据量时分批让出主线程并回报进度
+     * @param {Function} [onProgress] - (已处理条数, 总条数)
+     */
+    async computeRecordKPIs(records, onProgress) {
+        const kpis = [];
+        for (const [index, record] of records.entries()) {
+            kpis.push(this.diagnosis.calculateKPI(this.toSurveyRecord(record)));
+            if (index % 200 === 199) {
+                if (onProgress) onProgress(index + 1, records.length);
+                await new Promise(resolve => setTimeout(resolve, 0));
+            }
+        }
+        return kpis;
+    }
+
+    // 二维表：首行为表头
+    buildExportTable(records, columns, kpis) {
+        return [
+            columns.map(column => column.label),
+            ...records.map((record, index) => columns.map(column => column.value(record, kpis && kpis[index])))
+        ];
+    }
+
+    getExcelFormat(column) {
+        if (column.percent) return 'percent';
+        if (column.currency) return 'currency';
+        return column.kpi || column.numeric ? 'decimal' : undefined;
+    }
+
+    /**
+     * Excel 工作簿的三个工作表：调查记录、经营指标、业态汇总
+     * 未勾选任何 KPI 列时，经营指标表包含全部 KPI 列
+     */
+    buildExportSheets(records, columns, kpis) {
+        const kpiColumns = columns.filter(column => column.kpi);
+        const rawColumns = columns.filter(column => !column.kpi);
+        const indicatorColumns = kpiColumns.length > 0
+            ? kpiColumns
+            : this.exportColumnGroups.flatMap(group => group.columns).filter(column => column.kpi);
+
+        const toSheetColumns = list => list.map(column => ({ label: column.label, format: this.getExcelFormat(column) }));
+        const identityColumns = [
+            { label: '记录ID', value: record => record.id },
+            { label: '门店识别码', value: record => record.store_identifier },
+            { label: '门店名称', value: record => record.store_name },
+            { label: '业态类型', value: record => record.business_type }
+        ];
+
+        const recordSheet = {
+            name: '调查记录',
+            columns: toSheetColumns(rawColumns),
+            rows: records.map((record, index) => rawColumns.map(column => column.value(record, kpis[index])))
+        };
+
+        const kpiSheet = {
+            name: '经营指标',
+            columns: [...toSheetColumns(identityColumns), ...toSheetColumns(indicatorColumns), { label: '健康等级' }],
+            rows: records.map((record, index) => [
+                ...identityColumns.map(column => column.value(record)),
+                ...indicatorColumns.map(column => column.value(record, kpis[index])),
+                this.diagnosis.getHealthLevel(this.diagnosis.calculateOverallScore(kpis[index])).label
+            ])
+        };
+
+        return [recordSheet, kpiSheet, this.buildBusinessTypeSummarySheet(records, kpis)];
+    }
+
+    // 按业态类型汇总：记录数、门店数、营收与核心指标均值
+    buildBusinessTypeSummarySheet(records, kpis) {
+        const groups = new Map();
+        records.forEach((record, index) => {
+            const type = record.business_type || '未分类';
+            if (!groups.has(type)) groups.set(type, []);
+            groups.get(type).push({ record, kpi: kpis[index] });
+        });
+
+        const sum = (items, pick) => items.reduce((total, item) => total + (Number(pick(item)) || 0), 0);
+        const average = (items, pick) => items.length > 0 ? sum(items, pick) / items.length : 0;
+
+        return {
+            name: '业态汇总',
+            columns: [
+                { label: '业态类型' },
+                { label: '记录数', format: 'integer' },
+                { label: '门店数', format: 'integer' },
+                { label: '月营收合计', format: 'currency' },
+                { label: '平均月营收', format: 'currency' },
+                { label: '平均日均客流', format: 'decimal' },
+                { label: '平均客单价', format: 'currency' },
+                { label: '平均毛利率', format: 'percent' },
+                { label: '平均食材成本率', format: 'percent' },
+                { label: '平均人力成本率', format: 'percent' },
+                { label: '平均租金成本率', format: 'percent' },
+                { label: '平均外卖占比', format: 'percent' },
+                { label: '平均综合评分', format: 'decimal' }
+            ],
+            rows: [...groups.entries()]
+                .sort((a, b) => b[1].length - a[1].length)
+                .map(([type, items]) => [
+                    type,
+                    items.length,
+                    new Set(items.map(item => item.record.store_identifier)).size,
+                    sum(items, item => item.record.monthly_revenue),
+                    average(items, item => item.record.monthly_revenue),
+                    average(items, item => item.record.daily_customers),
+                    average(items, item => item.kpi.avg_spending),
+                    average(items, item => item.kpi.gross_margin),
+                    average(items, item => item.kpi.food_cost_ratio),
+                    average(items, item => item.kpi.labor_cost_ratio),
+                    average(items, item => item.kpi.rent_cost_ratio),
+                    average(items, item => item.kpi.takeaway_ratio),
+                    average(items, item => this.diagnosis.calculateOverallScore(item.kpi))
+                ])
+        };
+    }
+
+    async runExport() {
+        const columns = this.getCheckedExportColumns();
+        if (columns.length === 0) {
+            alert('请至少选择一列');
+            return;
+        }
+
+        const scope = this.elements.exportModal.querySelector('input[name="exportScope"]:checked').value;
+        const format = this.elements.exportModal.querySelector('input[name="exportFormat"]:checked').value;
+        this.elements.confirmExport.disabled = true;
+        this.setExportProgress(0, '正在准备导出...');
+        const controller = new AbortController();
+        this.exportController = controller;
+
+        try {
+            // 提前加载 SheetJS，失败时不必等待拉取数据
+            const sheetJS = format === 'xlsx' ? await loadSheetJS() : null;
+
+            const records = await this.getExportRecords(scope);
+            if (controller.signal.aborted) return;
+            if (records.length === 0) {
+                alert('没有数据可导出');
+                return;
+            }
+
+            // Excel 的指标与汇总工作表始终需要 KPI
+            const needsKPI = format === 'xlsx' || columns.some(column => column.kpi);
+            const kpis = needsKPI
+                ? await this.computeRecordKPIs(records, (done, total) => {
+                    this.setExportProgress(0.8 + done / total * 0.2, `正在计算指标 ${done}/${total}...`);
+                })
+                : null;
+            if (controller.signal.aborted) return;
+
+            const filename = `survey_data_${new Date().toISOString().slice(0,10)}`;
+            if (format === 'xlsx') {
+                new SurveyWorkbookBuilder(sheetJS).download(this.buildExportSheets(records, columns, kpis), `${filename}.xlsx`);
+            } else {
+                this.downloadCSV(this.buildExportTable(records, columns, kpis), `${filename}.csv`);
+            }
+
+            this.audit('data.export', null, {
+                after: { scope, format, records: records.length, columns: columns.map(column => column.id) }
+            });
+            this.setExportProgress(1, `已导出 ${records.length} 条记录`);
+            this.showStatus('connected', `已导出 ${records.length} 条记录（${format === 'xlsx' ? 'Excel' : 'CSV'}）`);
+            this.exportController = null;
+            this.closeExportModal();
+        } catch (error) {
+            if (controller.signal.aborted || error.type === 'aborted') {
+                this.showStatus('checking', '已取消导出');
+                return;
+            }
+            console.error('❌ 导出失败:', error);
+            this.setExportProgress(null);
+            this.showStatus('error', '导出失败: ' + this.getErrorMessage(error));
+        } finally {
+            if (this.exportController === controller) this.exportController = null;
+            this.elements.confirmExport.disabled = false;
+        }
+    }
+
+    toCSVCell(value) {
+        if (value === null || value === undefined) return '';
+        let text = typeof value === 'number' && !Number.isInteger(value)
+            ? String(Math.round(value * 10000) / 10000)
+            : String(value);
+        // 以 = + - @ 等开头的文本会被表格软件当作公式执行，加 ' 前缀；数值（含负数）保持原样
+        if (typeof value !== 'number' && /^[=+\-@\t\r]/.test(text) && !/^[+-]?\d+(\.\d+)?$/.test(text)) {
+            text = `'${text}`;
+        }
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
 
+    downloadCSV(table, filename) {
+        const csvContent = table.map(row => row.map(cell => this.toCSVCell(cell)).join(',')).join('\n');
         const blob = new Blob(['\ufeff' + csvContent], { type: 'text/csv;charset=utf-8;' });
         const link = document.createElement('a');
         link.href = URL.createObjectURL(blob);
-        link.download = `survey_data_${new Date().toISOString().slice(0,10)}.csv`;
+        link.download = filename;
         link.click();
     }
 
@@ -637,8 +4667,40 @@ class RestaurantSurveyApp {
             this.formatDate(this.currentData[0].timestamp) : '-';
     }
 
+    // 显示当前数据来源（实时/缓存）及其时效
+    updateCacheIndicator() {
+        const indicator = this.elements.cacheIndicator;
+        if (!this.dataSource) {
+            indicator.classList.add('hidden');
+            return;
+        }
+
+        const { fromCache, offline, local, loadedAt } = this.dataSource;
+        const ageText = this.formatAge(Date.now() - loadedAt);
+        if (local) {
+            indicator.className = 'text-xs px-2 py-1 rounded bg-indigo-50 text-indigo-700';
+            indicator.innerHTML = `<i class="fas fa-file-alt mr-1"></i>本地文件 · ${this.localDataset.name}`;
+        } else if (offline) {
+            indicator.className = 'text-xs px-2 py-1 rounded bg-gray-100 text-gray-700';
+            indicator.innerHTML = `<i class="fas fa-plug mr-1"></i>离线快照 · ${ageText}`;
+        } else {
+            indicator.className = `text-xs px-2 py-1 rounded ${fromCache ? 'bg-yellow-50 text-yellow-700' : 'bg-green-50 text-green-700'}`;
+            indicator.innerHTML = fromCache
+                ? `<i class="fas fa-database mr-1"></i>缓存数据 · ${ageText}`
+                : `<i class="fas fa-bolt mr-1"></i>实时数据 · ${ageText}`;
+        }
+        indicator.title = `数据获取时间: ${this.formatDate(loadedAt)}，缓存有效期 ${API_CACHE_TTL / 60000} 分钟`;
+    }
+
+    formatAge(ms) {
+        const minutes = Math.floor(ms / 60000);
+        if (minutes < 1) return '刚刚更新';
+        if (minutes < 60) return `${minutes} 分钟前`;
+        return `${Math.floor(minutes / 60)} 小时前`;
+    }
+
     updatePagination() {
-        const totalPages = Math.ceil(this.totalRecords / this.limit);
+        const totalPages = Math.max(1, Math.ceil(this.totalRecords / this.limit));
         this.elements.pageInfo.textContent = `第 ${this.currentPage} 页，共 ${totalPages} 页`;
         this.elements.prevPage.disabled = this.currentPage <= 1;
         this.elements.nextPage.disabled = this.currentPage >= totalPages;
@@ -653,6 +4715,19 @@ class RestaurantSurveyApp {
         icon.className = `fas ${this.getStatusIcon(type)} text-sm mr-2`;
     }
 
+    // 将 ApiError 类型映射为用户可读的提示
+    getErrorMessage(error) {
+        const messages = {
+            unauthorized: this.authMode === 'token' ? '登录已失效，请重新登录 (401)' : '管理员密钥错误或已失效 (401)',
+            forbidden: '没有访问该资源的权限 (403)',
+            rate_limited: '请求过于频繁，请稍后再试 (429)',
+            server: `服务器错误 (${error.status})，已重试 ${Math.max(0, (error.attempts || 1) - 1)} 次`,
+            offline: '网络不可用，请检查网络连接',
+            timeout: '请求超时'
+        };
+        return messages[error.type] || error.message;
+    }
+
     getStatusClass(type) {
         const classes = {
             'checking': 'bg-yellow-50 text-yellow-800',
@@ -701,6 +4776,60 @@ class RestaurantSurveyApp {
 // 任务数据存储（全局）
 let marketingTaskList = [];
 
+// 当前打开的诊断报告所属门店
+function getCurrentStoreIdentifier() {
+    const record = window.app && window.app.currentRecord;
+    return record ? record.store_identifier || null : null;
+}
+
+// 按门店区分的 localStorage 键（无门店识别码时回退到全局键）
+function storeScopedKey(baseKey, storeIdentifier = getCurrentStoreIdentifier()) {
+    return storeIdentifier ? `${baseKey}:${storeIdentifier}` : baseKey;
+}
+
+// 读取门店笔记，未单独保存过的门店沿用旧版全局内容
+function loadStoreScopedContent(baseKey) {
+    return localStorage.getItem(storeScopedKey(baseKey)) || localStorage.getItem(baseKey);
+}
+
+// 获取某门店关联的任务
+function getStoreMarketingTasks(storeIdentifier) {
+    return marketingTaskList.filter(t => !t.deleted && t.storeIdentifier === storeIdentifier);
+}
+
+// 报告内容与营销任务的修改需要编辑权限（只读角色只能查看）
+function canEditReportContent() {
+    return !window.app || window.app.requirePermission('edit');
+}
+
+// 营销任务与门店笔记的审计事件
+function auditReportEvent(action, targetId, change) {
+    if (window.app) window.app.audit(action, targetId, change);
+}
+
+function summarizeTask(task) {
+    return { title: task.title, status: task.status, checked: task.checked };
+}
+
+// 记录笔记修改：只保存内容摘要，不保存全文
+function auditNoteChange(noteKey, content) {
+    const summarize = html => {
+        if (!html) return { length: 0 };
+        const text = html.replace(/<[^>]*>/g, '').replace(/&nbsp;/g, ' ').trim();
+        return { length: text.length, excerpt: text.slice(0, 80) };
+    };
+    auditReportEvent('notes.update', `${getCurrentStoreIdentifier()}:${noteKey}`, {
+        before: summarize(localStorage.getItem(storeScopedKey(noteKey))),
+        after: summarize(content)
+    });
+}
+
+// 当前报告可见的任务：本门店任务 + 未关联门店的旧任务
+function getVisibleMarketingTasks() {
+    const storeIdentifier = getCurrentStoreIdentifier();
+    return marketingTaskList.filter(t => !t.deleted && (!t.storeIdentifier || t.storeIdentifier === storeIdentifier));
+}
+
 // 加载任务列表
 function loadMarketingTasks() {
     const saved = localStorage.getItem('marketingTasks');
@@ -723,9 +4852,11 @@ function saveMarketingTasks() {
 
 // 保存营销策略编辑器内容
 function saveMarketingStrategy() {
+    if (!canEditReportContent()) return;
     const editor = document.getElementById('marketingStrategyEditor');
     if (editor) {
-        localStorage.setItem('marketingStrategyContent', editor.innerHTML);
+        auditNoteChange('marketingStrategyContent', editor.innerHTML);
+        localStorage.setItem(storeScopedKey('marketingStrategyContent'), editor.innerHTML);
         alert('✅ 营销策略已保存');
         console.log('✓ 营销策略已保存到 localStorage');
     } else {
@@ -736,6 +4867,7 @@ function saveMarketingStrategy() {
 
 // 创建营销任务（从规则引擎建议）
 function createMarketingTask(suggestionId) {
+    if (!canEditReportContent()) return;
     // 弹出输入框让用户自定义任务名称
     const title = prompt('📝 请输入任务名称：\n（可直接使用建议标题或自定义）', `执行建议 #${suggestionId}`);
 
@@ -752,6 +4884,7 @@ function createMarketingTask(suggestionId) {
         id: taskId,
         title: title.trim(),
         suggestionId: suggestionId,
+        storeIdentifier: getCurrentStoreIdentifier(),
         status: 'pending', // pending / ongoing / completed
         checked: false,
         deleted: false,
@@ -764,6 +4897,7 @@ function createMarketingTask(suggestionId) {
 
     // 保存到localStorage
     saveMarketingTasks();
+    auditReportEvent('task.create', taskId, { after: summarizeTask(newTask) });
 
     // 重新渲染任务列表
     renderMarketingTasks();
@@ -774,6 +4908,7 @@ function createMarketingTask(suggestionId) {
 
 // 创建自定义任务（用户手动创建）
 function createCustomTask() {
+    if (!canEditReportContent()) return;
     const title = prompt('📝 请输入新任务名称：');
 
     if (!title || title.trim() === '') {
@@ -786,6 +4921,7 @@ function createCustomTask() {
         id: taskId,
         title: title.trim(),
         suggestionId: 'custom',
+        storeIdentifier: getCurrentStoreIdentifier(),
         status: 'pending',
         checked: false,
         deleted: false,
@@ -795,6 +4931,7 @@ function createCustomTask() {
 
     marketingTaskList.push(newTask);
     saveMarketingTasks();
+    auditReportEvent('task.create', taskId, { after: summarizeTask(newTask) });
     renderMarketingTasks();
 
     console.log(`✅ 自定义任务创建成功:`, newTask);
@@ -809,8 +4946,8 @@ function renderMarketingTasks() {
         return;
     }
 
-    // 过滤掉已删除的任务
-    const visibleTasks = marketingTaskList.filter(t => !t.deleted);
+    // 过滤掉已删除及其他门店的任务
+    const visibleTasks = getVisibleMarketingTasks();
 
     if (visibleTasks.length === 0) {
         // 显示空状态
@@ -875,14 +5012,17 @@ function renderMarketingTasks() {
 
 // 勾选/取消任务完成
 function toggleTaskChecked(taskId) {
+    if (!canEditReportContent()) return;
     const task = marketingTaskList.find(t => t.id === taskId);
     if (!task) return;
 
+    const before = summarizeTask(task);
     task.checked = !task.checked;
     task.status = task.checked ? 'completed' : 'pending';
     task.updatedAt = new Date().toISOString();
 
     saveMarketingTasks();
+    auditReportEvent('task.update', taskId, { before, after: summarizeTask(task) });
     renderMarketingTasks();
 
     console.log(`✓ 任务 ${taskId} 勾选状态:`, task.checked);
@@ -890,14 +5030,17 @@ function toggleTaskChecked(taskId) {
 
 // 更新任务状态
 function updateTaskStatus(taskId, newStatus) {
+    if (!canEditReportContent()) return;
     const task = marketingTaskList.find(t => t.id === taskId);
     if (!task) return;
 
+    const before = summarizeTask(task);
     task.status = newStatus;
     task.checked = (newStatus === 'completed');
     task.updatedAt = new Date().toISOString();
 
     saveMarketingTasks();
+    auditReportEvent('task.update', taskId, { before, after: summarizeTask(task) });
     renderMarketingTasks();
 
     console.log(`✓ 任务 ${taskId} 状态更新为:`, newStatus);
@@ -905,6 +5048,7 @@ function updateTaskStatus(taskId, newStatus) {
 
 // 删除任务
 function deleteMarketingTask(taskId) {
+    if (!canEditReportContent()) return;
     const task = marketingTaskList.find(t => t.id === taskId);
     if (!task) return;
 
@@ -916,6 +5060,7 @@ function deleteMarketingTask(taskId) {
     task.updatedAt = new Date().toISOString();
 
     saveMarketingTasks();
+    auditReportEvent('task.delete', taskId, { before: summarizeTask(task) });
     renderMarketingTasks();
 
     console.log(`✓ 任务 ${taskId} 已删除`);
@@ -923,16 +5068,19 @@ function deleteMarketingTask(taskId) {
 
 // 编辑任务标题（双击编辑）
 function editTaskTitle(taskId) {
+    if (!canEditReportContent()) return;
     const task = marketingTaskList.find(t => t.id === taskId);
     if (!task) return;
 
     const newTitle = prompt('✏️ 编辑任务名称：', task.title);
 
     if (newTitle && newTitle.trim() !== '' && newTitle.trim() !== task.title) {
+        const before = summarizeTask(task);
         task.title = newTitle.trim();
         task.updatedAt = new Date().toISOString();
 
         saveMarketingTasks();
+        auditReportEvent('task.update', taskId, { before, after: summarizeTask(task) });
         renderMarketingTasks();
 
         console.log(`✓ 任务 ${taskId} 标题已更新为:`, task.title);
@@ -941,7 +5089,7 @@ function editTaskTitle(taskId) {
 
 // 更新任务计数
 function updateTaskCounts() {
-    const visibleTasks = marketingTaskList.filter(t => !t.deleted);
+    const visibleTasks = getVisibleMarketingTasks();
 
     const counts = {
         pending: visibleTasks.filter(t => t.status === 'pending').length,
@@ -1082,8 +5230,10 @@ function initExperienceEditor() {
     const saveBtn = document.getElementById(`saveBtn_${editorId}`);
     if (saveBtn) {
         saveBtn.onclick = () => {
+            if (!canEditReportContent()) return;
             const content = editor.innerHTML;
-            localStorage.setItem('experienceAnalysisContent', content);
+            auditNoteChange('experienceAnalysisContent', content);
+            localStorage.setItem(storeScopedKey('experienceAnalysisContent'), content);
             alert('✅ 客户体验分析内容已保存！');
         };
     }
@@ -1092,15 +5242,17 @@ function initExperienceEditor() {
     const clearBtn = document.getElementById(`clearBtn_${editorId}`);
     if (clearBtn) {
         clearBtn.onclick = () => {
+            if (!canEditReportContent()) return;
             if (confirm('确定要清空编辑器内容吗？')) {
                 editor.innerHTML = '<p>在此输入客户体验评分与分析内容...</p>';
-                localStorage.removeItem('experienceAnalysisContent');
+                auditNoteChange('experienceAnalysisContent', '');
+                localStorage.removeItem(storeScopedKey('experienceAnalysisContent'));
             }
         };
     }
 
     // --- 页面加载时恢复上次保存的内容 ---
-    const savedContent = localStorage.getItem('experienceAnalysisContent');
+    const savedContent = loadStoreScopedContent('experienceAnalysisContent');
     if (savedContent) {
         editor.innerHTML = savedContent;
     }
@@ -1249,8 +5401,10 @@ function initMarketingStrategyEditor() {
     const saveBtn = document.getElementById(`saveBtn_${editorId}`);
     if (saveBtn) {
         saveBtn.onclick = () => {
+            if (!canEditReportContent()) return;
             const content = editor.innerHTML;
-            localStorage.setItem('marketingStrategyContent', content);
+            auditNoteChange('marketingStrategyContent', content);
+            localStorage.setItem(storeScopedKey('marketingStrategyContent'), content);
             alert('✅ 营销策略内容已保存！');
         };
     }
@@ -1259,15 +5413,17 @@ function initMarketingStrategyEditor() {
     const clearBtn = document.getElementById(`clearBtn_${editorId}`);
     if (clearBtn) {
         clearBtn.onclick = () => {
+            if (!canEditReportContent()) return;
             if (confirm('确定要清空编辑器内容吗？')) {
                 editor.innerHTML = '<p>在此输入营销策略内容...</p>';
-                localStorage.removeItem('marketingStrategyContent');
+                auditNoteChange('marketingStrategyContent', '');
+                localStorage.removeItem(storeScopedKey('marketingStrategyContent'));
             }
         };
     }
 
     // --- 页面加载时恢复上次保存的内容 ---
-    const savedContent = localStorage.getItem('marketingStrategyContent');
+    const savedContent = loadStoreScopedContent('marketingStrategyContent');
     if (savedContent) {
         editor.innerHTML = savedContent;
     }
@@ -1275,6 +5431,19 @@ function initMarketingStrategyEditor() {
     console.log('✓ 营销策略编辑器初始化完成');
 }
 
+/**
+ * 恢复管理员专属建议区的内容
+ */
+function initAdminNotesEditor() {
+    const adminEditor = document.getElementById('adminEditor');
+    if (!adminEditor) return;
+
+    const savedNotes = loadStoreScopedContent('adminNotes');
+    if (savedNotes) {
+        adminEditor.innerHTML = savedNotes;
+    }
+}
+
 /**
  * 初始化所有富文本编辑器
  * 在诊断报告生成后调用
@@ -1284,6 +5453,8 @@ function initAllRichTextEditors() {
     setTimeout(function() {
         initExperienceEditor();
         initMarketingStrategyEditor();
+        initAdminNotesEditor();
+        if (window.app) window.app.applyReportPermissions();
         console.log('✓ 所有富文本编辑器已初始化');
     }, 200);
 }
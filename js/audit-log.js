@@ -0,0 +1,117 @@
+// Audit Log
+// 记录导出、修改、删除等操作的审计事件；上传失败或离线时暂存在本机队列，恢复后补发
+
+const AUDIT_QUEUE_KEY = 'surveyAuditQueue';
+const AUDIT_QUEUE_LIMIT = 1000;
+const AUDIT_BATCH_SIZE = 50;
+// 本地文件模式下产生的事件只保存在本机，不上传
+const AUDIT_LOCAL_SOURCE = 'local-file';
+
+class AuditLogger {
+    /**
+     * @param {Object} options
+     * @param {Function} options.send - async (events) => void，上传一批事件（失败时抛出 ApiError）
+     * @param {Function} [options.canSend] - 返回当前是否可以上传（如已连接 API 且有凭据）
+     * @param {Function} [options.getSource] - 返回当前连接的数据源；只上传 source 与之相同的事件
+     */
+    constructor(options) {
+        this.send = options.send;
+        this.canSend = options.canSend || (() => true);
+        this.getSource = options.getSource || (() => null);
+        this.flushing = null;
+
+        if (typeof window !== 'undefined') {
+            window.addEventListener('online', () => this.flush());
+        }
+    }
+
+    getQueue() {
+        try {
+            const queue = JSON.parse(localStorage.getItem(AUDIT_QUEUE_KEY) || '[]');
+            return Array.isArray(queue) ? queue : [];
+        } catch (error) {
+            return [];
+        }
+    }
+
+    saveQueue(queue) {
+        // 超出上限时丢弃最早的事件，避免占满本地存储
+        localStorage.setItem(AUDIT_QUEUE_KEY, JSON.stringify(queue.slice(-AUDIT_QUEUE_LIMIT)));
+    }
+
+    /**
+     * 记录一条审计事件并尝试上传
+     * @param {Object} event
+     * @param {string} event.actor - 操作人
+     * @param {string} event.action - 操作类型，如 record.update / data.export / task.delete
+     * @param {string|number|null} [event.target_id] - 操作对象
+     * @param {Object} [event.before] - 操作前摘要
+     * @param {Object} [event.after] - 操作后摘要
+     * @param {string} [event.source] - 产生事件的数据源（API 地址或 local-file）
+     */
+    record(event) {
+        const entry = {
+            id: `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`,
+            timestamp: new Date().toISOString(),
+            target_id: null,
+            before: null,
+            after: null,
+            ...event
+        };
+        this.saveQueue([...this.getQueue(), entry]);
+        this.flush();
+        return entry;
+    }
+
+    // 只上传当前数据源的事件，切换环境后不会把其他环境或本地文件的事件发到当前服务器
+    getPendingFor(source) {
+        return source ? this.getQueue().filter(event => event.source === source) : [];
+    }
+
+    // 按批上传队列中的事件；同一时间只有一个上传过程
+    flush() {
+        if (this.flushing) return this.flushing;
+        if ((typeof navigator !== 'undefined' && navigator.onLine === false) || !this.canSend()) {
+            return Promise.resolve(0);
+        }
+
+        this.flushing = this.flushQueue().finally(() => {
+            this.flushing = null;
+        });
+        return this.flushing;
+    }
+
+    async flushQueue() {
+        const source = this.getSource();
+        if (!source || source === AUDIT_LOCAL_SOURCE) return 0;
+
+        let sent = 0;
+        let batch = this.getPendingFor(source).slice(0, AUDIT_BATCH_SIZE);
+
+        while (batch.length > 0) {
+            try {
+                await this.send(batch);
+            } catch (error) {
+                // 网络或凭据问题：保留队列稍后重试；服务端拒收（如 400 / 404）：丢弃该批，避免反复失败
+                if (error.retryable || error.type === 'unauthorized' || error.type === 'aborted') {
+                    console.warn(`⚠️ 审计事件上传失败，${this.getPendingFor(source).length} 条待重试:`, error.message);
+                    return sent;
+                }
+                console.error('❌ 审计事件被服务端拒收，已丢弃:', error);
+            }
+
+            const ids = new Set(batch.map(event => event.id));
+            this.saveQueue(this.getQueue().filter(event => !ids.has(event.id)));
+            sent += batch.length;
+            batch = this.getPendingFor(source).slice(0, AUDIT_BATCH_SIZE);
+        }
+
+        if (sent > 0) console.log(`✓ 已上传 ${sent} 条审计事件`);
+        return sent;
+    }
+}
+
+// 导出类
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AuditLogger;
+}
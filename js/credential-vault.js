@@ -0,0 +1,79 @@
+// Credential Vault
+// 使用 WebCrypto 以用户口令加密管理员密钥：PBKDF2 派生 AES-GCM 密钥
+
+const VAULT_KDF_ITERATIONS = 210000;
+
+class CredentialVault {
+    static get supported() {
+        return typeof crypto !== 'undefined' && Boolean(crypto.subtle);
+    }
+
+    static toBase64(bytes) {
+        return btoa(String.fromCharCode(...new Uint8Array(bytes)));
+    }
+
+    static fromBase64(text) {
+        return Uint8Array.from(atob(text), char => char.charCodeAt(0));
+    }
+
+    static async deriveKey(passphrase, salt, iterations) {
+        const material = await crypto.subtle.importKey(
+            'raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']
+        );
+        return crypto.subtle.deriveKey(
+            { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+            material,
+            { name: 'AES-GCM', length: 256 },
+            false,
+            ['encrypt', 'decrypt']
+        );
+    }
+
+    /**
+     * 加密文本，返回可直接 JSON 序列化的 { v, iterations, salt, iv, data }
+     */
+    static async encrypt(plaintext, passphrase) {
+        const salt = crypto.getRandomValues(new Uint8Array(16));
+        const iv = crypto.getRandomValues(new Uint8Array(12));
+        const key = await CredentialVault.deriveKey(passphrase, salt, VAULT_KDF_ITERATIONS);
+        const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(plaintext));
+
+        return {
+            v: 1,
+            iterations: VAULT_KDF_ITERATIONS,
+            salt: CredentialVault.toBase64(salt),
+            iv: CredentialVault.toBase64(iv),
+            data: CredentialVault.toBase64(data)
+        };
+    }
+
+    /**
+     * 解密 encrypt() 的结果；口令错误或数据被篡改时抛出错误
+     */
+    static async decrypt(payload, passphrase) {
+        const key = await CredentialVault.deriveKey(
+            passphrase, CredentialVault.fromBase64(payload.salt), payload.iterations || VAULT_KDF_ITERATIONS
+        );
+        try {
+            const data = await crypto.subtle.decrypt(
+                { name: 'AES-GCM', iv: CredentialVault.fromBase64(payload.iv) },
+                key,
+                CredentialVault.fromBase64(payload.data)
+            );
+            return new TextDecoder().decode(data);
+        } catch (error) {
+            throw new Error('口令错误');
+        }
+    }
+
+    // 密钥摘要：锁定后校验重新输入的密钥，内存中不保留原文
+    static async digest(text) {
+        const hash = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+        return CredentialVault.toBase64(hash);
+    }
+}
+
+// 导出类
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CredentialVault;
+}
@@ -0,0 +1,73 @@
+// Survey Data Export
+// 在浏览器中生成 Excel 工作簿，数值单元格按货币 / 百分比等格式写入
+
+const XLSX_NUMBER_FORMATS = {
+    currency: '"¥"#,##0.00',
+    percent: '0.00%',
+    decimal: '0.00',
+    integer: '0'
+};
+
+class SurveyWorkbookBuilder {
+    /**
+     * @param {Object} sheetJS - 通过 loadSheetJS() 加载的 XLSX 对象
+     */
+    constructor(sheetJS) {
+        this.sheetJS = sheetJS;
+    }
+
+    /**
+     * 生成单个工作表
+     * @param {Object} sheet
+     * @param {Array<{label: string, format?: string, width?: number}>} sheet.columns - format 为 XLSX_NUMBER_FORMATS 的键
+     * @param {Array<Array>} sheet.rows
+     */
+    buildSheet(sheet) {
+        const { utils } = this.sheetJS;
+
+        // 带格式的列统一转为数字，保证 Excel 中可直接求和、排序
+        const rows = sheet.rows.map(row => row.map((value, index) => {
+            const column = sheet.columns[index];
+            if (!column.format || value === '' || value === null || value === undefined) return value ?? '';
+            const number = Number(value);
+            return isNaN(number) ? value : number;
+        }));
+
+        const worksheet = utils.aoa_to_sheet([sheet.columns.map(column => column.label), ...rows]);
+
+        sheet.columns.forEach((column, c) => {
+            const numberFormat = XLSX_NUMBER_FORMATS[column.format];
+            if (!numberFormat) return;
+            for (let r = 1; r <= rows.length; r++) {
+                const cell = worksheet[utils.encode_cell({ r, c })];
+                if (cell && cell.t === 'n') cell.z = numberFormat;
+            }
+        });
+
+        worksheet['!cols'] = sheet.columns.map(column => ({
+            wch: column.width || Math.max(10, String(column.label).length * 2 + 2)
+        }));
+        return worksheet;
+    }
+
+    /**
+     * @param {Array<{name: string, columns: Array, rows: Array<Array>}>} sheets
+     */
+    build(sheets) {
+        const { utils } = this.sheetJS;
+        const workbook = utils.book_new();
+        sheets.forEach(sheet => {
+            utils.book_append_sheet(workbook, this.buildSheet(sheet), sheet.name);
+        });
+        return workbook;
+    }
+
+    download(sheets, filename) {
+        this.sheetJS.writeFile(this.build(sheets), filename, { compression: true });
+    }
+}
+
+// 导出类
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SurveyWorkbookBuilder, XLSX_NUMBER_FORMATS };
+}
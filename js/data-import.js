@@ -0,0 +1,223 @@
+// Survey Data Import
+// 解析 CSV / Excel / JSON 文件，并将列映射为调查记录字段
+
+const SHEETJS_URL = 'https://cdnjs.cloudflare.com/ajax/libs/xlsx/0.18.5/xlsx.full.min.js';
+
+// 按需加载外部脚本（同一地址只加载一次）
+const loadedScripts = new Map();
+function loadExternalScript(src) {
+    if (!loadedScripts.has(src)) {
+        loadedScripts.set(src, new Promise((resolve, reject) => {
+            const script = document.createElement('script');
+            script.src = src;
+            script.onload = resolve;
+            script.onerror = () => {
+                loadedScripts.delete(src);
+                reject(new Error(`脚本加载失败: ${src}`));
+            };
+            document.head.appendChild(script);
+        }));
+    }
+    return loadedScripts.get(src);
+}
+
+// 按需加载 SheetJS（Excel 读写共用）
+async function loadSheetJS() {
+    if (typeof XLSX === 'undefined') {
+        await loadExternalScript(SHEETJS_URL);
+    }
+    return XLSX;
+}
+
+class SurveyFileImporter {
+    /**
+     * @param {Array<{key: string, label: string, numeric?: boolean}>} fields - 可映射的记录字段
+     */
+    constructor(fields) {
+        this.fields = fields;
+        // 常见的表头别名（含旧版导出CSV的列名）
+        this.aliases = {
+            id: ['ID', '编号'],
+            timestamp: ['提交时间', '时间', '日期', 'created_at', 'submitted_at'],
+            store_identifier: ['门店识别码', '识别码', '门店编码', '门店ID'],
+            store_name: ['门店名称', '店名', '门店'],
+            business_type: ['业态类型', '业态'],
+            monthly_revenue: ['月营收', '月营业收入', '营业额'],
+            daily_customers: ['日均客流', '日客流'],
+            update_count: ['更新次数']
+        };
+    }
+
+    /**
+     * 解析文件，返回 { headers, rows }，rows 为以表头为键的对象数组
+     */
+    async parseFile(file) {
+        const extension = file.name.split('.').pop().toLowerCase();
+
+        if (extension === 'csv') {
+            return SurveyFileImporter.parseCSV(await file.text());
+        }
+        if (extension === 'json') {
+            return SurveyFileImporter.parseJSON(await file.text());
+        }
+        if (extension === 'xlsx' || extension === 'xls') {
+            return this.parseWorkbook(await file.arrayBuffer());
+        }
+        throw new Error(`不支持的文件格式: .${extension}（支持 .csv / .xlsx / .xls / .json）`);
+    }
+
+    // RFC 4180 CSV 解析：支持引号包裹、转义引号与字段内换行
+    static parseCSV(text) {
+        const content = text.replace(/^\uFEFF/, '');
+        const table = [];
+        let row = [];
+        let field = '';
+        let inQuotes = false;
+
+        for (let i = 0; i < content.length; i++) {
+            const char = content[i];
+
+            if (inQuotes) {
+                if (char === '"' && content[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    inQuotes = false;
+                } else {
+                    field += char;
+                }
+            } else if (char === '"') {
+                inQuotes = true;
+            } else if (char === ',') {
+                row.push(field);
+                field = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && content[i + 1] === '\n') i++;
+                row.push(field);
+                table.push(row);
+                row = [];
+                field = '';
+            } else {
+                field += char;
+            }
+        }
+        if (field !== '' || row.length > 0) {
+            row.push(field);
+            table.push(row);
+        }
+
+        const nonEmpty = table.filter(cells => cells.some(cell => cell.trim() !== ''));
+        if (nonEmpty.length === 0) throw new Error('CSV 文件为空');
+
+        const headers = nonEmpty[0].map(header => header.trim());
+        const rows = nonEmpty.slice(1).map(cells =>
+            Object.fromEntries(headers.map((header, index) => [header, cells[index] ?? '']))
+        );
+        return { headers, rows };
+    }
+
+    // 支持记录数组或 API 格式 { rows: [...] }
+    static parseJSON(text) {
+        const parsed = JSON.parse(text);
+        const rows = Array.isArray(parsed) ? parsed : parsed && parsed.rows;
+        if (!Array.isArray(rows)) throw new Error('JSON 文件应为记录数组或包含 rows 数组');
+        const invalid = rows.findIndex(row => !row || typeof row !== 'object' || Array.isArray(row));
+        if (invalid !== -1) throw new Error(`第 ${invalid + 1} 条记录不是对象`);
+
+        const headers = [...new Set(rows.flatMap(row => Object.keys(row || {})))];
+        return { headers, rows };
+    }
+
+    async parseWorkbook(buffer) {
+        const sheetJS = await loadSheetJS();
+        const workbook = sheetJS.read(buffer, { type: 'array', cellDates: true });
+        const sheet = workbook.Sheets[workbook.SheetNames[0]];
+        if (!sheet) throw new Error('Excel 文件中没有工作表');
+
+        const headers = (sheetJS.utils.sheet_to_json(sheet, { header: 1 })[0] || []).map(h => String(h).trim());
+        const rows = sheetJS.utils.sheet_to_json(sheet, { defval: '' });
+        return { headers, rows };
+    }
+
+    // 根据字段名、中文标签和别名自动匹配表头，未识别的表头映射为空字符串（忽略）
+    suggestMapping(headers) {
+        const normalize = value => String(value).trim().toLowerCase().replace(/\s+/g, '');
+        const lookup = new Map();
+
+        this.fields.forEach(field => {
+            [field.key, field.label, ...(this.aliases[field.key] || [])].forEach(name => {
+                if (!lookup.has(normalize(name))) lookup.set(normalize(name), field.key);
+            });
+        });
+
+        const used = new Set();
+        return Object.fromEntries(headers.map(header => {
+            const key = lookup.get(normalize(header));
+            if (key && !used.has(key)) {
+                used.add(key);
+                return [header, key];
+            }
+            return [header, ''];
+        }));
+    }
+
+    /**
+     * 按映射生成调查记录：数值字段转为数字，缺失的 id / 时间自动补齐
+     * 空单元格保留为 null、无法解析的数值保留原文，交由数据质量校验提示
+     * @param {Array<Object>} rows
+     * @param {Object} mapping - { 表头: 字段key }
+     * @returns {{ records: Array<Object>, renumbered: number }} renumbered 为因重复或无效而重新分配 id 的记录数
+     */
+    buildRecords(rows, mapping) {
+        const numericKeys = new Set(this.fields.filter(f => f.numeric).map(f => f.key));
+        const importedAt = new Date().toISOString();
+
+        const records = rows.map(row => {
+            const record = {};
+            Object.entries(mapping).forEach(([header, key]) => {
+                if (!key) return;
+                let value = row[header];
+
+                if (value instanceof Date) {
+                    value = value.toISOString();
+                } else if (numericKeys.has(key)) {
+                    const number = parseSurveyNumber(value);
+                    value = number === null ? null : (isNaN(number) ? String(value).trim() : number);
+                } else if (typeof value === 'string') {
+                    value = value.trim();
+                }
+                record[key] = value;
+            });
+
+            record.timestamp = record.timestamp || importedAt;
+            record.update_count = Number(record.update_count) || 0;
+            return record;
+        });
+
+        // 选择、编辑、标签与修改记录都以 id 为键：保留有效且不重复的 id，其余从文件最大 id 之后依次分配
+        const validId = value => Number.isInteger(value) && value > 0;
+        let nextId = records.reduce((max, record) => {
+            const id = Number(record.id);
+            return validId(id) ? Math.max(max, id) : max;
+        }, 0) + 1;
+        const used = new Set();
+        let renumbered = 0;
+        records.forEach(record => {
+            const id = Number(record.id);
+            if (validId(id) && !used.has(id)) {
+                record.id = id;
+            } else {
+                if (record.id !== undefined && record.id !== null && record.id !== '') renumbered++;
+                record.id = nextId++;
+            }
+            used.add(record.id);
+        });
+
+        return { records, renumbered };
+    }
+}
+
+// 导出类
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SurveyFileImporter, loadExternalScript };
+}
@@ -0,0 +1,185 @@
+// Survey Data Quality
+// 声明式的字段规则与跨字段规则，找出不可能或可疑的调查数据，避免基于错误数据给出诊断结论
+
+/**
+ * 单字段规则
+ * required - 为空时报告；min / max - 取值范围；integer - 必须为整数
+ * severity - critical（严重错误，可按设置阻止诊断）/ warning（可疑，仅提示）
+ */
+const DATA_QUALITY_FIELD_RULES = {
+    monthly_revenue: { required: true, min: 0, severity: 'critical' },
+    online_revenue: { min: 0, severity: 'critical' },
+    food_cost: { min: 0, severity: 'critical' },
+    labor_cost: { min: 0, severity: 'critical' },
+    rent_cost: { min: 0, severity: 'critical' },
+    utility_cost: { min: 0, severity: 'critical' },
+    marketing_cost: { min: 0, severity: 'critical' },
+    store_area: { required: true, min: 1, severity: 'warning' },
+    seats: { required: true, min: 1, integer: true, severity: 'warning' },
+    daily_customers: { min: 0, integer: true, severity: 'warning' },
+    total_customers: { required: true, min: 0, integer: true, severity: 'warning' },
+    repeat_customers: { min: 0, integer: true, severity: 'warning' },
+    average_rating: { min: 0, max: 5, severity: 'critical' },
+    total_reviews: { min: 0, integer: true, severity: 'warning' },
+    bad_reviews: { min: 0, integer: true, severity: 'warning' },
+    service_bad_reviews: { min: 0, integer: true, severity: 'warning' },
+    taste_bad_reviews: { min: 0, integer: true, severity: 'warning' },
+    short_video_count: { min: 0, integer: true, severity: 'warning' },
+    live_stream_count: { min: 0, integer: true, severity: 'warning' }
+};
+
+const COST_FIELDS = ['food_cost', 'labor_cost', 'rent_cost', 'utility_cost', 'marketing_cost'];
+
+/**
+ * 跨字段规则：test(values) 返回 true 表示发现问题
+ * values 为已转为数字的字段值（空值为 null），涉及的字段缺失时跳过该规则
+ */
+const DATA_QUALITY_CROSS_RULES = [
+    {
+        id: 'revenue_zero',
+        fields: ['monthly_revenue'],
+        severity: 'critical',
+        message: '月营业收入为 0，各项成本率与人效、坪效无法计算',
+        test: v => v.monthly_revenue === 0
+    },
+    {
+        id: 'online_exceeds_revenue',
+        fields: ['online_revenue', 'monthly_revenue'],
+        severity: 'critical',
+        message: v => `线上营收（${v.online_revenue}）大于月营业收入（${v.monthly_revenue}）`,
+        test: v => v.online_revenue > v.monthly_revenue
+    },
+    {
+        id: 'costs_exceed_revenue',
+        fields: ['monthly_revenue', ...COST_FIELDS],
+        severity: 'warning',
+        message: v => `总成本（${COST_FIELDS.reduce((sum, key) => sum + v[key], 0)}）高于月营业收入（${v.monthly_revenue}），请确认是否亏损或录入错误`,
+        test: v => v.monthly_revenue > 0 && COST_FIELDS.reduce((sum, key) => sum + v[key], 0) > v.monthly_revenue
+    },
+    {
+        id: 'repeat_exceeds_total',
+        fields: ['repeat_customers', 'total_customers'],
+        severity: 'critical',
+        message: v => `复购老客户（${v.repeat_customers}）大于总客流（${v.total_customers}）`,
+        test: v => v.repeat_customers > v.total_customers
+    },
+    {
+        id: 'bad_reviews_exceed_total',
+        fields: ['bad_reviews', 'total_reviews'],
+        severity: 'critical',
+        message: v => `差评数（${v.bad_reviews}）大于总评论数（${v.total_reviews}）`,
+        test: v => v.bad_reviews > v.total_reviews
+    },
+    {
+        id: 'bad_review_breakdown',
+        fields: ['service_bad_reviews', 'taste_bad_reviews', 'bad_reviews'],
+        severity: 'warning',
+        message: v => `服务差评与口味差评之和（${v.service_bad_reviews + v.taste_bad_reviews}）大于差评数（${v.bad_reviews}）`,
+        test: v => v.service_bad_reviews + v.taste_bad_reviews > v.bad_reviews
+    },
+    {
+        id: 'daily_vs_monthly_customers',
+        fields: ['daily_customers', 'total_customers'],
+        severity: 'warning',
+        message: v => `日均客流 × 30（${v.daily_customers * 30}）与总客流（${v.total_customers}）相差超过 3 倍`,
+        test: v => v.daily_customers > 0 && v.total_customers > 0 &&
+            Math.max(v.daily_customers * 30 / v.total_customers, v.total_customers / (v.daily_customers * 30)) > 3
+    },
+    {
+        id: 'table_turnover',
+        fields: ['daily_customers', 'seats'],
+        severity: 'warning',
+        message: v => `翻台率 ${(v.daily_customers / v.seats).toFixed(1)} 次/天，超出常见范围`,
+        test: v => v.seats > 0 && v.daily_customers / v.seats > 20
+    },
+    {
+        id: 'avg_spending',
+        fields: ['monthly_revenue', 'total_customers'],
+        severity: 'warning',
+        message: v => `客单价 ${(v.monthly_revenue / v.total_customers).toFixed(0)} 元，超出常见范围（5 ~ 2000 元）`,
+        test: v => v.monthly_revenue > 0 && v.total_customers > 0 &&
+            (v.monthly_revenue / v.total_customers < 5 || v.monthly_revenue / v.total_customers > 2000)
+    }
+];
+
+class SurveyDataValidator {
+    /**
+     * @param {Object} [options]
+     * @param {Object<string, string>} [options.labels] - 字段名 -> 中文名称，用于提示信息
+     * @param {Object} [options.fieldRules]
+     * @param {Array} [options.crossRules]
+     */
+    constructor(options = {}) {
+        this.labels = options.labels || {};
+        this.fieldRules = options.fieldRules || DATA_QUALITY_FIELD_RULES;
+        this.crossRules = options.crossRules || DATA_QUALITY_CROSS_RULES;
+    }
+
+    static isEmpty(value) {
+        return value === null || value === undefined || (typeof value === 'string' && value.trim() === '');
+    }
+
+    // 空值返回 null，无法转换为数字时返回 NaN（与 SurveyRecord 使用同一解析规则）
+    static toNumber(value) {
+        return parseSurveyNumber(value);
+    }
+
+    label(field) {
+        return this.labels[field] || field;
+    }
+
+    /**
+     * 校验一条记录
+     * @returns {{ issues: Array<{rule: string, fields: string[], severity: string, message: string}>, critical: number, warnings: number }}
+     */
+    validate(record) {
+        const issues = [];
+        const values = {};
+
+        Object.entries(this.fieldRules).forEach(([field, rule]) => {
+            const value = SurveyDataValidator.toNumber(record[field]);
+            const add = (ruleId, message) => issues.push({ rule: `${field}.${ruleId}`, fields: [field], severity: rule.severity, message });
+
+            if (value === null) {
+                if (rule.required) add('required', `${this.label(field)}为空`);
+                return;
+            }
+            if (isNaN(value)) {
+                add('number', `${this.label(field)}不是有效数字（${record[field]}）`);
+                return;
+            }
+
+            values[field] = value;
+            if (rule.min !== undefined && value < rule.min) {
+                add('min', rule.min === 0 ? `${this.label(field)}不能为负数（${value}）` : `${this.label(field)}不能小于 ${rule.min}（${value}）`);
+            } else if (rule.max !== undefined && value > rule.max) {
+                add('max', `${this.label(field)}不能大于 ${rule.max}（${value}）`);
+            } else if (rule.integer && !Number.isInteger(value)) {
+                add('integer', `${this.label(field)}应为整数（${value}）`);
+            }
+        });
+
+        this.crossRules.forEach(rule => {
+            // 涉及的字段缺失或无效时由单字段规则报告，这里不重复
+            if (!rule.fields.every(field => typeof values[field] === 'number')) return;
+            if (!rule.test(values)) return;
+            issues.push({
+                rule: rule.id,
+                fields: rule.fields,
+                severity: rule.severity,
+                message: typeof rule.message === 'function' ? rule.message(values) : rule.message
+            });
+        });
+
+        return {
+            issues,
+            critical: issues.filter(issue => issue.severity === 'critical').length,
+            warnings: issues.filter(issue => issue.severity === 'warning').length
+        };
+    }
+}
+
+// 导出类
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SurveyDataValidator, DATA_QUALITY_FIELD_RULES, DATA_QUALITY_CROSS_RULES };
+}
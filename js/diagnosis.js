@@ -68,6 +68,11 @@ class RestaurantDiagnosisAdvanced {
         // Memoization cache for expensive calculations
         this.cache = new Map();
     }
+
+    /**
+     * 诊断算法的入参 data 均为 SurveyRecord（数值字段已是数字，枚举已规范化）
+     * 原始 API 行请先经 SurveyRecord.from() 转换
+     */
     calculateKPI(data) {
         // Check cache first
         const cacheKey = `kpi_${JSON.stringify(data)}`;
@@ -245,7 +250,7 @@ class RestaurantDiagnosisAdvanced {
         const totalCostCalc = (data.food_cost || 0) + (data.labor_cost || 0) + (data.rent_cost || 0) +
                             (data.marketing_cost || 0) + (data.utility_cost || 0);
 
-        const overallScore = Math.round(((kpi.location_match_score || 70) + (kpi.marketing_health_score || 70) + (kpi.content_marketing_index || 70)) / 3);
+        const overallScore = this.calculateOverallScore(kpi);
         const healthLevel = this.getHealthLevel(overallScore);
         
         return `
@@ -262,6 +267,18 @@ class RestaurantDiagnosisAdvanced {
         `;
     }
 
+    // 综合评分：选址匹配度、营销健康度、内容营销指数的均值
+    calculateOverallScore(kpi) {
+        return Math.round(((kpi.location_match_score || 70) + (kpi.marketing_health_score || 70) + (kpi.content_marketing_index || 70)) / 3);
+    }
+
+    // 店名等自由文本插入报告 HTML 前需转义（报告也会导出为独立的 HTML 文件）
+    static escapeHTML(text) {
+        return String(text).replace(/[&<>"']/g, char => ({
+            '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+        })[char]);
+    }
+
     generateStoreOverview(data, overallScore, healthLevel) {
         const businessType = data.business_type || '快餐';
         const location = data.business_circle || '一类商圈';
@@ -278,7 +295,7 @@ class RestaurantDiagnosisAdvanced {
                 <div style="display: flex; justify-content: space-between; align-items: flex-start; margin-bottom: 20px;">
                     <div>
                         <h2 style="margin: 0 0 12px 0; font-size: 28px; font-weight: 700; text-shadow: 0 2px 4px rgba(0,0,0,0.1);">
-                            🏪 ${data.store_name || '餐饮门店'}
+                            🏪 ${RestaurantDiagnosisAdvanced.escapeHTML(data.store_name || '餐饮门店')}
                         </h2>
                         <div style="display: flex; gap: 12px; flex-wrap: wrap;">
                             <span style="background: rgba(255,255,255,0.2); padding: 6px 14px; border-radius: 20px; font-size: 14px; backdrop-filter: blur(10px);">
@@ -620,16 +637,16 @@ class RestaurantDiagnosisAdvanced {
             }
         });
 
-        const monthlyRevenue = Number(data.monthly_revenue) || 0;
-        const foodCost = Number(data.food_cost) || 0;
-        const laborCost = Number(data.labor_cost) || 0;
-        const rentCost = Number(data.rent_cost) || 0;
-        const marketingCost = Number(data.marketing_cost) || 0;
-        const utilityCost = Number(data.utility_cost) || 0;
+        const monthlyRevenue = data.monthly_revenue;
+        const foodCost = data.food_cost;
+        const laborCost = data.labor_cost;
+        const rentCost = data.rent_cost;
+        const marketingCost = data.marketing_cost;
+        const utilityCost = data.utility_cost;
         const totalCost = foodCost + laborCost + rentCost + marketingCost + utilityCost;
 
-        const area = Number(data.store_area) || 120;
-        const seats = Number(data.seats) || 50;
+        const area = data.store_area || 120;
+        const seats = data.seats || 50;
 
         // 🔧 获取业态差异化配置（平均工资和基准价格）
         const businessType = data.business_type || '其他';
@@ -845,15 +862,14 @@ class RestaurantDiagnosisAdvanced {
             };
         }
 
-        // 🔧 强制转换为数字，避免字符串拼接问题
-        const monthlyRevenue = Number(data.monthly_revenue) || 0;
-        const foodCost = Number(data.food_cost) || 0;
-        const laborCost = Number(data.labor_cost) || 0;
-        const rentCost = Number(data.rent_cost) || 0;
-        const marketingCost = Number(data.marketing_cost) || 0;
-        const utilityCost = Number(data.utility_cost) || 0;
+        const monthlyRevenue = data.monthly_revenue;
+        const foodCost = data.food_cost;
+        const laborCost = data.labor_cost;
+        const rentCost = data.rent_cost;
+        const marketingCost = data.marketing_cost;
+        const utilityCost = data.utility_cost;
 
-        // ✅ 计算总成本（确保数字相加，不是字符串拼接）
+        // ✅ 计算总成本（SurveyRecord 已将成本字段转换为数字）
         const totalCost = foodCost + laborCost + rentCost + marketingCost + utilityCost;
 
         // 📊 调试日志（在浏览器控制台查看）
@@ -1125,12 +1141,12 @@ class RestaurantDiagnosisAdvanced {
 
     // 🪶 VIBE CODING - 成本结构分析（感知型数据系统）
     generateCostAnalysisSection(data, kpi) {
-        const monthlyRevenue = Number(data.monthly_revenue) || 0;
-        const foodCost = Number(data.food_cost) || 0;
-        const laborCost = Number(data.labor_cost) || 0;
-        const rentCost = Number(data.rent_cost) || 0;
-        const utilityCost = Number(data.utility_cost) || 0;
-        const marketingCost = Number(data.marketing_cost) || 0;
+        const monthlyRevenue = data.monthly_revenue;
+        const foodCost = data.food_cost;
+        const laborCost = data.labor_cost;
+        const rentCost = data.rent_cost;
+        const utilityCost = data.utility_cost;
+        const marketingCost = data.marketing_cost;
 
         const totalCost = foodCost + laborCost + rentCost + utilityCost + marketingCost;
         const netProfit = monthlyRevenue - totalCost;
@@ -2246,9 +2262,9 @@ class RestaurantDiagnosisAdvanced {
     // 🌡️ 经营温度感知引擎：客流趋势与客户体验分析
     generateTrafficAndExperienceSection(data, kpi) {
         // === 数据准备层 ===
-        const monthlyRevenue = Number(data.monthly_revenue) || 0;
+        const monthlyRevenue = data.monthly_revenue;
         const avgOrderValue = Number(data.avg_order_value) || 50;
-        const seats = Number(data.seats) || 50;
+        const seats = data.seats || 50;
         const operatingDays = Number(data.operating_days) || 30;
 
         // 客流数据建模
@@ -2258,7 +2274,7 @@ class RestaurantDiagnosisAdvanced {
 
         // 体验数据建模
         const avgRating = Number(data.avg_rating) || 4.2;
-        const totalReviews = Number(data.total_reviews) || 150;
+        const totalReviews = data.total_reviews || 150;
         const badReviewRate = Number(data.bad_review_rate) || 0.05;
         const replyRate = Number(data.review_reply_rate) || 0.75;
 
@@ -5610,11 +5626,14 @@ function insertIcon() {
 }
 
 function saveAdminNotes() {
+    if (typeof canEditReportContent === 'function' && !canEditReportContent()) return;
     const adminEditor = document.getElementById('adminEditor');
     const content = adminEditor.innerHTML;
     
-    // 保存到本地存储
-    localStorage.setItem('adminNotes', content);
+    // 保存到本地存储（按门店区分）
+    const storageKey = typeof storeScopedKey === 'function' ? storeScopedKey('adminNotes') : 'adminNotes';
+    if (typeof auditNoteChange === 'function') auditNoteChange('adminNotes', content);
+    localStorage.setItem(storageKey, content);
     
     // 显示保存成功提示
     const button = event.target;
@@ -5648,17 +5667,6 @@ function exportPDF() {
     }
 }
 
-// 加载保存的管理员笔记
-document.addEventListener('DOMContentLoaded', function() {
-    const savedNotes = localStorage.getItem('adminNotes');
-    if (savedNotes) {
-        const adminEditor = document.getElementById('adminEditor');
-        if (adminEditor) {
-            adminEditor.innerHTML = savedNotes;
-        }
-    }
-});
-
 // 导出类
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = RestaurantDiagnosisAdvanced;
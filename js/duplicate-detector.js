@@ -0,0 +1,235 @@
+// Duplicate Detector
+// 找出疑似重复提交：内容完全相同、同一门店识别码在时间窗口内多次提交、店名相近且经营数据几乎一致
+
+// 比较内容时忽略的系统字段
+const DUPLICATE_META_FIELDS = [
+    'id', 'timestamp', 'update_count', 'updated_at', 'updated_by',
+    'archived', 'archived_at', 'deleted', 'deleted_at', 'tags'
+];
+
+// 判断“经营数据几乎一致”时比较的数值字段
+const DUPLICATE_NUMBER_FIELDS = [
+    'monthly_revenue', 'online_revenue', 'food_cost', 'labor_cost', 'rent_cost', 'utility_cost', 'marketing_cost',
+    'store_area', 'seats', 'daily_customers', 'total_customers', 'repeat_customers'
+];
+
+// 同一组记录命中多种规则时按此顺序只保留一种
+const DUPLICATE_TYPES = ['exact', 'identifier', 'similar'];
+
+class DuplicateDetector {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.windowHours=72] - 同一识别码视为重复提交的时间窗口
+     * @param {number} [options.nameSimilarity=0.6] - 店名相似度阈值（0 ~ 1）
+     * @param {number} [options.numberTolerance=0.03] - 数值相对误差在此范围内视为一致
+     * @param {number} [options.numberMatchRatio=0.8] - 一致的数值字段占比达到该值才视为经营数据一致
+     */
+    constructor(options = {}) {
+        this.windowHours = options.windowHours || 72;
+        this.nameSimilarity = options.nameSimilarity || 0.6;
+        this.numberTolerance = options.numberTolerance || 0.03;
+        this.numberMatchRatio = options.numberMatchRatio || 0.8;
+    }
+
+    static toNumber(value) {
+        if (value === null || value === undefined || value === '') return null;
+        const number = Number(typeof value === 'string' ? value.replace(/,/g, '') : value);
+        return Number.isFinite(number) ? number : null;
+    }
+
+    // 去掉括号中的分店说明、空白与标点，便于比较店名
+    static normalizeName(name) {
+        return String(name || '')
+            .toLowerCase()
+            .replace(/[（(【[].*?[）)】\]]/g, '')
+            .replace(/[\s\p{P}\p{S}]/gu, '');
+    }
+
+    // 字符二元组的 Dice 系数
+    static nameSimilarity(a, b) {
+        if (!a || !b) return 0;
+        if (a === b) return 1;
+        if (a.length < 2 || b.length < 2) return 0;
+
+        const bigrams = text => {
+            const counts = new Map();
+            for (let i = 0; i < text.length - 1; i++) {
+                const gram = text.slice(i, i + 2);
+                counts.set(gram, (counts.get(gram) || 0) + 1);
+            }
+            return counts;
+        };
+        const first = bigrams(a);
+        const second = bigrams(b);
+        let overlap = 0;
+        first.forEach((count, gram) => {
+            overlap += Math.min(count, second.get(gram) || 0);
+        });
+        return (2 * overlap) / (a.length - 1 + b.length - 1);
+    }
+
+    payloadKey(record) {
+        const payload = Object.keys(record)
+            .filter(key => !DUPLICATE_META_FIELDS.includes(key))
+            .sort()
+            .map(key => {
+                const number = DuplicateDetector.toNumber(record[key]);
+                const value = number !== null && typeof record[key] !== 'boolean' ? number : record[key];
+                return [key, typeof value === 'string' ? value.trim() : value];
+            });
+        return JSON.stringify(payload);
+    }
+
+    numbersClose(a, b) {
+        let compared = 0;
+        let close = 0;
+        DUPLICATE_NUMBER_FIELDS.forEach(field => {
+            const x = DuplicateDetector.toNumber(a[field]);
+            const y = DuplicateDetector.toNumber(b[field]);
+            if (x === null || y === null) return;
+            compared++;
+            if (Math.abs(x - y) <= this.numberTolerance * Math.max(Math.abs(x), Math.abs(y))) close++;
+        });
+        return compared >= 3 && close / compared >= this.numberMatchRatio;
+    }
+
+    // 并查集：find 用循环做路径压缩，记录很多时也不会爆栈
+    static createUnionFind(size) {
+        const parent = Array.from({ length: size }, (item, index) => index);
+        const find = index => {
+            let root = index;
+            while (parent[root] !== root) root = parent[root];
+            while (parent[index] !== root) {
+                const next = parent[index];
+                parent[index] = root;
+                index = next;
+            }
+            return root;
+        };
+        const union = (a, b) => {
+            parent[find(a)] = find(b);
+        };
+        return { find, union };
+    }
+
+    /**
+     * 检测疑似重复的记录组；不同规则命中的组共享记录时合并为一组，类型取优先级最高的规则
+     * @param {Array<Object>} records
+     * @returns {Array<{key: string, type: string, ids: Array, records: Array<Object>}>}
+     *   key 为组内记录 id 排序后拼接，用于记住已忽略的组；records 按提交时间排序
+     */
+    detect(records) {
+        const groups = {
+            exact: this.groupByPayload(records),
+            identifier: this.groupByIdentifier(records),
+            similar: this.groupBySimilarity(records)
+        };
+
+        const indexOf = new Map(records.map((record, index) => [record, index]));
+        const sets = DuplicateDetector.createUnionFind(records.length);
+        // 记录下标 -> 命中的最高优先级规则（按 DUPLICATE_TYPES 顺序遍历，先到先得）
+        const typeOf = new Map();
+        DUPLICATE_TYPES.forEach(type => {
+            groups[type].forEach(members => {
+                const first = indexOf.get(members[0]);
+                members.forEach(member => {
+                    const index = indexOf.get(member);
+                    sets.union(index, first);
+                    if (!typeOf.has(index)) typeOf.set(index, type);
+                });
+            });
+        });
+
+        const clusters = new Map();
+        typeOf.forEach((type, index) => {
+            const root = sets.find(index);
+            if (!clusters.has(root)) clusters.set(root, { type, records: [] });
+            const cluster = clusters.get(root);
+            if (DUPLICATE_TYPES.indexOf(type) < DUPLICATE_TYPES.indexOf(cluster.type)) cluster.type = type;
+            cluster.records.push(records[index]);
+        });
+
+        return [...clusters.values()].map(({ type, records: members }) => {
+            const sorted = [...members].sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+            const key = sorted.map(record => record.id).sort((a, b) => String(a).localeCompare(String(b), undefined, { numeric: true })).join(',');
+            return { key, type, ids: sorted.map(record => record.id), records: sorted };
+        });
+    }
+
+    groupByPayload(records) {
+        const groups = new Map();
+        records.forEach(record => {
+            const key = this.payloadKey(record);
+            if (!groups.has(key)) groups.set(key, []);
+            groups.get(key).push(record);
+        });
+        return [...groups.values()].filter(group => group.length > 1);
+    }
+
+    // 同一识别码的提交按时间排序，相邻两次间隔在窗口内即归为一组
+    groupByIdentifier(records) {
+        const byIdentifier = new Map();
+        records.forEach(record => {
+            const identifier = String(record.store_identifier || '').trim();
+            if (!identifier) return;
+            if (!byIdentifier.has(identifier)) byIdentifier.set(identifier, []);
+            byIdentifier.get(identifier).push(record);
+        });
+
+        const windowMs = this.windowHours * 60 * 60 * 1000;
+        const groups = [];
+        byIdentifier.forEach(list => {
+            const sorted = list
+                .filter(record => !isNaN(new Date(record.timestamp).getTime()))
+                .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+            let current = [];
+            sorted.forEach(record => {
+                const previous = current[current.length - 1];
+                if (previous && new Date(record.timestamp) - new Date(previous.timestamp) > windowMs) {
+                    if (current.length > 1) groups.push(current);
+                    current = [];
+                }
+                current.push(record);
+            });
+            if (current.length > 1) groups.push(current);
+        });
+        return groups;
+    }
+
+    // 按月营收排序后只比较营收相近的记录，再检查店名与其余数值
+    groupBySimilarity(records) {
+        const candidates = records
+            .map(record => ({
+                record,
+                revenue: DuplicateDetector.toNumber(record.monthly_revenue),
+                name: DuplicateDetector.normalizeName(record.store_name)
+            }))
+            .filter(item => item.revenue !== null && item.name)
+            .sort((a, b) => a.revenue - b.revenue);
+
+        // 相似关系可传递成组
+        const { find, union } = DuplicateDetector.createUnionFind(candidates.length);
+
+        for (let i = 0; i < candidates.length; i++) {
+            const limit = candidates[i].revenue + this.numberTolerance * Math.abs(candidates[i].revenue);
+            for (let j = i + 1; j < candidates.length && candidates[j].revenue <= limit; j++) {
+                if (DuplicateDetector.nameSimilarity(candidates[i].name, candidates[j].name) < this.nameSimilarity) continue;
+                if (!this.numbersClose(candidates[i].record, candidates[j].record)) continue;
+                union(j, i);
+            }
+        }
+
+        const groups = new Map();
+        candidates.forEach((item, index) => {
+            const root = find(index);
+            if (!groups.has(root)) groups.set(root, []);
+            groups.get(root).push(item.record);
+        });
+        return [...groups.values()].filter(group => group.length > 1);
+    }
+}
+
+// 导出类
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DuplicateDetector;
+}
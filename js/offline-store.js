@@ -0,0 +1,140 @@
+// Offline Survey Store
+// 将已加载的调查记录镜像到 IndexedDB，网络不可用时作为只读数据源
+
+const OFFLINE_DB_NAME = 'restaurantSurveyOffline';
+const OFFLINE_DB_VERSION = 1;
+
+class OfflineSurveyStore {
+    constructor() {
+        this.dbPromise = null;
+    }
+
+    get supported() {
+        return typeof indexedDB !== 'undefined';
+    }
+
+    open() {
+        if (!this.supported) {
+            return Promise.reject(new Error('当前浏览器不支持 IndexedDB'));
+        }
+
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(OFFLINE_DB_NAME, OFFLINE_DB_VERSION);
+
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    // 不同 API 地址的数据互不混用：以 [source, id] 作为主键
+                    const surveys = db.createObjectStore('surveys', { keyPath: ['source', 'id'] });
+                    surveys.createIndex('source', 'source', { unique: false });
+                    db.createObjectStore('meta', { keyPath: 'source' });
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return this.dbPromise;
+    }
+
+    // 将一次 IDBRequest / 事务包装为 Promise
+    static promisify(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    static transactionDone(tx) {
+        return new Promise((resolve, reject) => {
+            tx.oncomplete = () => resolve();
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+    }
+
+    /**
+     * 写入（覆盖）记录，并更新该数据源的最后写入时间（离线快照显示用）
+     * 增量同步的水位 syncWatermark 只由 setMeta 更新，这里不改动
+     */
+    async saveRecords(source, records) {
+        if (!records || records.length === 0) return;
+
+        const db = await this.open();
+        const tx = db.transaction(['surveys', 'meta'], 'readwrite');
+        const surveys = tx.objectStore('surveys');
+        const syncedAt = Date.now();
+
+        records.forEach(record => {
+            surveys.put({ source, id: record.id, syncedAt, record });
+        });
+
+        const meta = tx.objectStore('meta');
+        const current = await OfflineSurveyStore.promisify(meta.get(source));
+        meta.put({ ...current, source, lastSyncedAt: syncedAt });
+
+        await OfflineSurveyStore.transactionDone(tx);
+    }
+
+    async getAllRecords(source) {
+        const db = await this.open();
+        const index = db.transaction('surveys').objectStore('surveys').index('source');
+        const entries = await OfflineSurveyStore.promisify(index.getAll(source));
+        return entries.map(entry => entry.record);
+    }
+
+    async getRecord(source, id) {
+        const db = await this.open();
+        const entry = await OfflineSurveyStore.promisify(
+            db.transaction('surveys').objectStore('surveys').get([source, id])
+        );
+        return entry ? entry.record : null;
+    }
+
+    async deleteRecord(source, id) {
+        const db = await this.open();
+        const tx = db.transaction('surveys', 'readwrite');
+        tx.objectStore('surveys').delete([source, id]);
+        await OfflineSurveyStore.transactionDone(tx);
+    }
+
+    async getMeta(source) {
+        const db = await this.open();
+        const meta = await OfflineSurveyStore.promisify(
+            db.transaction('meta').objectStore('meta').get(source)
+        );
+        return meta || { source, lastSyncedAt: null, syncWatermark: null };
+    }
+
+    async setMeta(source, values) {
+        const db = await this.open();
+        const tx = db.transaction('meta', 'readwrite');
+        const store = tx.objectStore('meta');
+        const current = await OfflineSurveyStore.promisify(store.get(source));
+        store.put({ ...current, ...values, source });
+        await OfflineSurveyStore.transactionDone(tx);
+    }
+
+    /**
+     * 在镜像上执行与 /api/surveys 相同的查询
+     */
+    async query(source, options) {
+        const records = await this.getAllRecords(source);
+        return applySurveyQuery(records, options);
+    }
+
+    // 清除某个数据源的镜像（退出登录时调用）
+    async clear(source) {
+        const db = await this.open();
+        const tx = db.transaction(['surveys', 'meta'], 'readwrite');
+        const index = tx.objectStore('surveys').index('source');
+        const keys = await OfflineSurveyStore.promisify(index.getAllKeys(source));
+        keys.forEach(key => tx.objectStore('surveys').delete(key));
+        tx.objectStore('meta').delete(source);
+        await OfflineSurveyStore.transactionDone(tx);
+    }
+}
+
+// 导出类
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = OfflineSurveyStore;
+}
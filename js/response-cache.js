@@ -0,0 +1,86 @@
+// Response Cache
+// 带过期时间 (TTL) 和容量上限 (LRU) 的 API 响应缓存
+
+class ResponseCache {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.maxEntries=50] - 最多缓存的条目数，超出时淘汰最久未使用的条目
+     * @param {number} [options.ttl=300000] - 条目有效期（毫秒）
+     */
+    constructor(options = {}) {
+        this.maxEntries = options.maxEntries || 50;
+        this.ttl = options.ttl || 5 * 60 * 1000;
+        // Map 保持插入顺序：最早的键即最久未使用
+        this.entries = new Map();
+    }
+
+    get size() {
+        return this.entries.size;
+    }
+
+    isExpired(entry) {
+        return Date.now() - entry.storedAt > this.ttl;
+    }
+
+    /**
+     * 读取条目，返回 { value, storedAt, age }；不存在或已过期时返回 null
+     */
+    getEntry(key) {
+        const entry = this.entries.get(key);
+        if (!entry) return null;
+
+        if (this.isExpired(entry)) {
+            this.entries.delete(key);
+            return null;
+        }
+
+        // 重新插入，标记为最近使用
+        this.entries.delete(key);
+        this.entries.set(key, entry);
+        return { ...entry, age: Date.now() - entry.storedAt };
+    }
+
+    get(key) {
+        const entry = this.getEntry(key);
+        return entry ? entry.value : undefined;
+    }
+
+    has(key) {
+        return this.getEntry(key) !== null;
+    }
+
+    set(key, value) {
+        this.entries.delete(key);
+        this.entries.set(key, { value, storedAt: Date.now() });
+
+        while (this.entries.size > this.maxEntries) {
+            const oldestKey = this.entries.keys().next().value;
+            this.entries.delete(oldestKey);
+        }
+    }
+
+    delete(key) {
+        return this.entries.delete(key);
+    }
+
+    // 删除所有以 prefix 开头的条目，返回删除数量
+    invalidatePrefix(prefix) {
+        let removed = 0;
+        for (const key of [...this.entries.keys()]) {
+            if (key.startsWith(prefix)) {
+                this.entries.delete(key);
+                removed++;
+            }
+        }
+        return removed;
+    }
+
+    clear() {
+        this.entries.clear();
+    }
+}
+
+// 导出类
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ResponseCache;
+}
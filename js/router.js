@@ -0,0 +1,115 @@
+// Hash Router
+// 基于 location.hash 的轻量路由：#/path?query，路径支持 :param 与可选段 :param?
+
+class HashRouter {
+    constructor() {
+        this.routes = [];
+        this.fallback = null;
+        this.listening = false;
+    }
+
+    // 将 '/record/:id/:tab?' 编译为正则与参数名列表
+    static compile(pattern) {
+        const keys = [];
+        const source = pattern.split('/').filter(Boolean).map(segment => {
+            if (segment.startsWith(':')) {
+                const optional = segment.endsWith('?');
+                keys.push(segment.slice(1).replace(/\?$/, ''));
+                return optional ? '(?:/([^/]+))?' : '/([^/]+)';
+            }
+            return '/' + segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        }).join('');
+        return { regex: new RegExp(`^${source}/?$`), keys };
+    }
+
+    /**
+     * 解析 hash，返回 { path, query }
+     */
+    static parse(hash) {
+        const raw = String(hash || '').replace(/^#/, '');
+        const index = raw.indexOf('?');
+        const path = index >= 0 ? raw.slice(0, index) : raw;
+        return {
+            path: path || '/',
+            query: new URLSearchParams(index >= 0 ? raw.slice(index + 1) : '')
+        };
+    }
+
+    // 组合路径与查询参数，忽略空值
+    static build(path, query = {}) {
+        const params = new URLSearchParams();
+        Object.entries(query).forEach(([key, value]) => {
+            if (value !== undefined && value !== null && value !== '') params.set(key, value);
+        });
+        const queryString = params.toString();
+        return queryString ? `${path}?${queryString}` : path;
+    }
+
+    get current() {
+        return HashRouter.parse(window.location.hash);
+    }
+
+    on(pattern, handler) {
+        this.routes.push({ ...HashRouter.compile(pattern), handler });
+        return this;
+    }
+
+    otherwise(handler) {
+        this.fallback = handler;
+        return this;
+    }
+
+    /**
+     * 匹配路径，返回 { route, params }；未匹配时返回 null
+     */
+    match(path) {
+        for (const route of this.routes) {
+            const result = route.regex.exec(path);
+            if (result) {
+                const params = Object.fromEntries(route.keys.map((key, i) => [
+                    key,
+                    result[i + 1] === undefined ? undefined : decodeURIComponent(result[i + 1])
+                ]));
+                return { route, params };
+            }
+        }
+        return null;
+    }
+
+    // 按当前地址执行对应的处理函数
+    resolve() {
+        const { path, query } = this.current;
+        const matched = this.match(path);
+        if (matched) return matched.route.handler(matched.params, query);
+        if (this.fallback) return this.fallback({}, query);
+        return undefined;
+    }
+
+    // 监听地址变化（含浏览器前进/后退）
+    listen() {
+        if (this.listening) return;
+        this.listening = true;
+        window.addEventListener('hashchange', () => this.resolve());
+    }
+
+    // 新增一条历史记录，不触发路由
+    push(path, state = null) {
+        history.pushState(state, '', '#' + path);
+    }
+
+    // 替换当前历史记录，不触发路由（用于把页面状态同步到地址栏）
+    replace(path) {
+        if (window.location.hash === '#' + path) return;
+        history.replaceState(history.state, '', '#' + path);
+    }
+
+    // 跳转并触发路由
+    navigate(path) {
+        window.location.hash = path;
+    }
+}
+
+// 导出类
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = HashRouter;
+}
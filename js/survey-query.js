@@ -0,0 +1,87 @@
+// Survey Query
+// 在本地数据集上复现 /api/surveys 的筛选、排序与分页语义（离线镜像、本地数据源共用）
+
+/**
+ * 判断记录是否满足筛选条件
+ * filters 与 buildSurveyQuery() 发送给 API 的参数同名；带 updated_since 时不按归档/删除状态过滤
+ */
+function matchesSurveyFilters(record, filters = {}) {
+    if (filters.updated_since) {
+        // 增量同步：只返回指定时间之后更新的记录，已归档/已删除的记录带着标记作为墓碑一并返回
+        const updatedAt = new Date(record.updated_at || record.timestamp).getTime();
+        if (!(updatedAt > new Date(filters.updated_since).getTime())) return false;
+    } else {
+        // 已删除的记录永不返回；已归档的记录只在 archived 视图中返回
+        if (record.deleted) return false;
+        const wantArchived = filters.archived === true || filters.archived === 'true';
+        if (Boolean(record.archived) !== wantArchived) return false;
+    }
+
+    if (filters.keyword) {
+        const keyword = String(filters.keyword).toLowerCase();
+        const haystack = `${record.store_name || ''} ${record.store_identifier || ''}`.toLowerCase();
+        if (!haystack.includes(keyword)) return false;
+    }
+
+    if (filters.store_identifier && record.store_identifier !== filters.store_identifier) return false;
+    if (filters.business_type && record.business_type !== filters.business_type) return false;
+    if (filters.business_circle && record.business_circle !== filters.business_circle) return false;
+    if (filters.decoration_level && record.decoration_level !== filters.decoration_level) return false;
+
+    if (filters.start_date || filters.end_date) {
+        const submittedAt = new Date(record.timestamp).getTime();
+        if (filters.start_date && submittedAt < new Date(`${filters.start_date}T00:00:00`).getTime()) return false;
+        // 结束日期包含当天
+        if (filters.end_date && submittedAt > new Date(`${filters.end_date}T23:59:59.999`).getTime()) return false;
+    }
+
+    const revenue = Number(record.monthly_revenue) || 0;
+    if (filters.min_revenue !== undefined && filters.min_revenue !== '' && revenue < Number(filters.min_revenue)) return false;
+    if (filters.max_revenue !== undefined && filters.max_revenue !== '' && revenue > Number(filters.max_revenue)) return false;
+
+    return true;
+}
+
+function compareSurveyValues(a, b, field) {
+    if (field === 'timestamp') {
+        return new Date(a.timestamp) - new Date(b.timestamp);
+    }
+
+    const left = a[field];
+    const right = b[field];
+    const leftNumber = Number(left);
+    const rightNumber = Number(right);
+    if (left !== '' && right !== '' && !isNaN(leftNumber) && !isNaN(rightNumber)) {
+        return leftNumber - rightNumber;
+    }
+    return String(left ?? '').localeCompare(String(right ?? ''), 'zh-CN');
+}
+
+/**
+ * 筛选 + 排序 + 分页，返回与 API 相同的 { rows, total }
+ * @param {Array} records
+ * @param {Object} [options]
+ * @param {Object} [options.filters]
+ * @param {{field: string, order: string}} [options.sort] - 未指定时按提交时间倒序
+ * @param {number} [options.limit]
+ * @param {number} [options.offset=0]
+ */
+function applySurveyQuery(records, options = {}) {
+    const { filters = {}, sort, limit, offset = 0 } = options;
+    const field = (sort && sort.field) || 'timestamp';
+    const direction = (sort && sort.field ? sort.order : 'desc') === 'asc' ? 1 : -1;
+
+    const matched = records
+        .filter(record => matchesSurveyFilters(record, filters))
+        .sort((a, b) => compareSurveyValues(a, b, field) * direction);
+
+    return {
+        rows: limit ? matched.slice(offset, offset + limit) : matched.slice(offset),
+        total: matched.length
+    };
+}
+
+// 导出函数
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { applySurveyQuery, matchesSurveyFilters };
+}
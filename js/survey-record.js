@@ -0,0 +1,124 @@
+// Survey Record Model
+// 在数据边界一次性解析 API 行：数值转换、枚举规范化与时间解析，诊断算法只接收该模型
+
+const SURVEY_NUMBER_FIELDS = [
+    'monthly_revenue', 'online_revenue',
+    'food_cost', 'labor_cost', 'rent_cost', 'utility_cost', 'marketing_cost',
+    'store_area', 'seats', 'daily_customers', 'total_customers', 'repeat_customers',
+    'average_rating', 'total_reviews', 'bad_reviews', 'service_bad_reviews', 'taste_bad_reviews',
+    'short_video_count', 'live_stream_count', 'update_count'
+];
+
+// 行业、商圈与装修档次的取值直接取自诊断算法的配置，避免两处各自维护
+const SURVEY_DIAGNOSIS_CONFIG = typeof RestaurantDiagnosisAdvanced !== 'undefined'
+    ? new RestaurantDiagnosisAdvanced()
+    : new (require('./diagnosis.js'))();
+
+/**
+ * 枚举字段：values 为诊断算法使用的取值
+ * aliases 为常见的其他写法；无法识别或为空时使用 fallback
+ */
+const SURVEY_ENUM_FIELDS = {
+    business_type: {
+        values: Object.keys(SURVEY_DIAGNOSIS_CONFIG.industryBenchmarks),
+        aliases: {
+            '快餐店': '快餐', '火锅店': '火锅', '中餐': '正餐', '西餐': '正餐',
+            '咖啡': '咖啡厅', '咖啡馆': '咖啡厅', '茶饮': '茶饮店', '奶茶': '茶饮店', '奶茶店': '茶饮店'
+        },
+        fallback: '其他'
+    },
+    business_circle: {
+        values: Object.keys(SURVEY_DIAGNOSIS_CONFIG.businessCircleScores),
+        aliases: {
+            '一类商场': '一类商场里面', '二类商场': '二类商场里面', '一类商场内': '一类商场里面', '二类商场内': '二类商场里面'
+        },
+        fallback: null
+    },
+    decoration_level: {
+        values: Object.keys(SURVEY_DIAGNOSIS_CONFIG.decorationScores),
+        aliases: { '高档': '中高档', '中高端': '中高档', '中端': '中档', '中低端': '中低档', '低档': '中低档' },
+        fallback: null
+    },
+    marketing_situation: {
+        values: ['有自己团队', '找代运营', '老板运营', '无'],
+        aliases: { '自有团队': '有自己团队', '代运营': '找代运营', '老板自己运营': '老板运营', '没有': '无', '暂无': '无' },
+        fallback: '无'
+    }
+};
+
+const SURVEY_DATE_FIELDS = ['timestamp', 'updated_at'];
+
+/**
+ * 调查数值的统一解析：文件导入、数据质量校验与记录模型共用，保证三处结论一致
+ * 支持 "12,000"、"¥ 8000"、全角数字等写法；空值返回 null，无法解析时返回 NaN
+ */
+function parseSurveyNumber(value) {
+    if (value === null || value === undefined) return null;
+    if (typeof value === 'number') return Number.isFinite(value) ? value : NaN;
+    const text = String(value)
+        .replace(/[０-９．－＋]/g, char => String.fromCharCode(char.charCodeAt(0) - 0xFEE0))
+        .replace(/[,，¥￥\s]/g, '');
+    if (text === '') return null;
+    const number = Number(text);
+    return Number.isFinite(number) ? number : NaN;
+}
+
+class SurveyRecord {
+    /**
+     * @param {Object} row - API / 文件 / 离线缓存中的原始记录
+     */
+    constructor(row = {}) {
+        Object.assign(this, row);
+        // 缺失或无法解析、已替换为默认值的字段
+        this.defaultedFields = [];
+
+        SURVEY_NUMBER_FIELDS.forEach(field => {
+            const value = SurveyRecord.parseNumber(row[field]);
+            if (value === null) this.defaultedFields.push(field);
+            this[field] = value === null ? 0 : value;
+        });
+
+        Object.entries(SURVEY_ENUM_FIELDS).forEach(([field, spec]) => {
+            const value = SurveyRecord.normalizeEnum(row[field], spec);
+            if (value === null) this.defaultedFields.push(field);
+            this[field] = value === null ? spec.fallback : value;
+        });
+
+        SURVEY_DATE_FIELDS.forEach(field => {
+            this[field] = SurveyRecord.parseDate(row[field]);
+        });
+    }
+
+    // 已是模型时原样返回，避免重复解析
+    static from(row) {
+        return row instanceof SurveyRecord ? row : new SurveyRecord(row);
+    }
+
+    // 空值或无法解析时返回 null
+    static parseNumber(value) {
+        const number = parseSurveyNumber(value);
+        return number === null || isNaN(number) ? null : number;
+    }
+
+    static normalizeEnum(value, spec) {
+        if (value === null || value === undefined) return null;
+        const text = String(value).replace(/\s+/g, '');
+        if (spec.values.includes(text)) return text;
+        return spec.aliases[text] || null;
+    }
+
+    static parseDate(value) {
+        if (value === null || value === undefined || value === '') return null;
+        const date = value instanceof Date ? value : new Date(value);
+        return isNaN(date.getTime()) ? null : date;
+    }
+
+    isDefaulted(field) {
+        return this.defaultedFields.includes(field);
+    }
+}
+
+// 导出类
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SurveyRecord, SURVEY_NUMBER_FIELDS, SURVEY_ENUM_FIELDS, parseSurveyNumber };
+}
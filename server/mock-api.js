@@ -0,0 +1,262 @@
+// Mock Survey API
+// 本地开发/演示用的 /api/surveys 与 /api/export 模拟实现（含归档、恢复、软删除、令牌登录、角色权限与审计日志），数据来自 fixtures/surveys.json
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { applySurveyQuery } = require('./survey-query');
+
+const DEFAULT_LIMIT = 25;
+const MAX_LIMIT = 2000;
+const READ_ONLY_FIELDS = ['id', 'timestamp', 'store_identifier', 'update_count'];
+const ACCESS_TOKEN_TTL = 15 * 60; // 秒
+const REFRESH_TOKEN_TTL = 7 * 24 * 60 * 60; // 秒
+// 演示账号：用户名 -> 角色（viewer 只读 / consultant 可编辑与导出 / admin 全部权限）
+const DEFAULT_USERS = { admin: 'admin', consultant: 'consultant', viewer: 'viewer' };
+
+function loadFixture(fixturePath) {
+    const records = JSON.parse(fs.readFileSync(fixturePath, 'utf8'));
+    console.log(`🧪 Mock API loaded ${records.length} survey records from ${path.basename(fixturePath)}`);
+    return records;
+}
+
+// 导出CSV时的字段顺序
+function getExportColumns(records) {
+    return [...new Set(records.flatMap(record => Object.keys(record)))];
+}
+
+function toCSVCell(value) {
+    if (value === null || value === undefined) return '';
+    let text = String(value);
+    // 防止 CSV 公式注入：以 = + - @ 等开头的文本加 ' 前缀，数值保持原样
+    if (typeof value !== 'number' && /^[=+\-@\t\r]/.test(text) && !/^[+-]?\d+(\.\d+)?$/.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * 在 express 应用上注册模拟接口
+ * @param {import('express').Express} app
+ * @param {Object} options
+ * @param {string} options.adminKey - 请求头 x-admin-key 需匹配的密钥
+ * @param {string} options.fixturePath - 种子数据文件
+ * @param {Object<string, string>} [options.users] - 令牌登录账号与角色，密码均与管理员密钥相同；x-admin-key 视为 admin
+ * @param {number} [options.accessTokenTtl] - 访问令牌有效期（秒）
+ */
+function registerMockApi(app, options) {
+    const records = loadFixture(options.fixturePath);
+    const users = options.users || DEFAULT_USERS;
+    const accessTokenTtl = options.accessTokenTtl || ACCESS_TOKEN_TTL;
+    // token -> { user, expiresAt（毫秒） }
+    const accessTokens = new Map();
+    const refreshTokens = new Map();
+
+    const issueToken = (tokens, user, ttl, bytes) => {
+        const token = crypto.randomBytes(bytes).toString('hex');
+        tokens.set(token, { user, expiresAt: Date.now() + ttl * 1000 });
+        return token;
+    };
+
+    // 返回令牌对应的用户；无效或过期时返回 null
+    const findTokenUser = (tokens, token) => {
+        const entry = tokens.get(token);
+        if (entry && entry.expiresAt > Date.now()) return entry.user;
+        tokens.delete(token);
+        return null;
+    };
+
+    // 角色校验：在认证中间件之后使用
+    const requireRole = (...roles) => (req, res, next) => {
+        if (roles.includes(req.user.role)) return next();
+        res.status(403).json({ error: `当前角色（${req.user.role}）无权执行该操作` });
+    };
+
+    // 允许直接打开 index.html（file://）或其他端口的开发页面访问
+    app.use('/api', (req, res, next) => {
+        res.set({
+            'Access-Control-Allow-Origin': '*',
+            'Access-Control-Allow-Headers': 'Content-Type, x-admin-key, Authorization',
+            'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS'
+        });
+        if (req.method === 'OPTIONS') return res.sendStatus(204);
+        next();
+    });
+
+    // 令牌登录：以账号密码换取短期访问令牌与刷新令牌
+    app.post('/api/auth/login', (req, res) => {
+        const body = req.body || {};
+        if (!Object.prototype.hasOwnProperty.call(users, body.username) || body.password !== options.adminKey) {
+            return res.status(401).json({ error: '账号或密码错误' });
+        }
+
+        const user = { username: body.username, role: users[body.username] };
+        res.json({
+            access_token: issueToken(accessTokens, user, accessTokenTtl, 24),
+            refresh_token: issueToken(refreshTokens, user, REFRESH_TOKEN_TTL, 32),
+            expires_in: accessTokenTtl,
+            user
+        });
+    });
+
+    app.post('/api/auth/refresh', (req, res) => {
+        const user = findTokenUser(refreshTokens, (req.body || {}).refresh_token);
+        if (!user) {
+            return res.status(401).json({ error: '刷新令牌无效或已过期' });
+        }
+        res.json({ access_token: issueToken(accessTokens, user, accessTokenTtl, 24), expires_in: accessTokenTtl, user });
+    });
+
+    // 接受 x-admin-key（管理员）或 Authorization: Bearer <访问令牌>，通过后 req.user 为当前用户
+    app.use('/api', (req, res, next) => {
+        const bearer = (req.get('authorization') || '').match(/^Bearer\s+(\S+)$/i);
+        req.user = bearer ? findTokenUser(accessTokens, bearer[1]) : null;
+        if (!req.user && req.get('x-admin-key') === options.adminKey) {
+            req.user = { username: 'admin', role: 'admin' };
+        }
+        if (req.user) return next();
+        res.status(401).json({ error: bearer ? '访问令牌无效或已过期' : '管理员密钥错误' });
+    });
+
+    app.get('/api/auth/me', (req, res) => {
+        res.json({ user: req.user });
+    });
+
+    app.get('/api/surveys', (req, res) => {
+        const limit = Math.min(MAX_LIMIT, Math.max(1, parseInt(req.query.limit, 10) || DEFAULT_LIMIT));
+        const offset = Math.max(0, parseInt(req.query.offset, 10) || 0);
+        const { sort, order, ...filters } = req.query;
+        delete filters.limit;
+        delete filters.offset;
+
+        // 带 updated_since 的增量同步请求同样由 applySurveyQuery 处理（含归档/删除墓碑）
+        res.json(applySurveyQuery(records, {
+            filters,
+            sort: sort ? { field: sort, order: order === 'asc' ? 'asc' : 'desc' } : null,
+            limit,
+            offset
+        }));
+    });
+
+    app.get('/api/surveys/:id', (req, res) => {
+        const record = records.find(r => String(r.id) === req.params.id && !r.deleted);
+        if (!record) {
+            return res.status(404).json({ error: `记录不存在: ${req.params.id}` });
+        }
+        res.json({ row: record });
+    });
+
+    // 查找未删除的记录，不存在时直接返回 404
+    const findActiveRecord = (req, res) => {
+        const record = records.find(r => String(r.id) === req.params.id && !r.deleted);
+        if (!record) {
+            res.status(404).json({ error: `记录不存在: ${req.params.id}` });
+        }
+        return record;
+    };
+
+    // 字段修改：只接受可编辑字段，记录修改人与时间；已删除的记录不可修改
+    app.put('/api/surveys/:id', requireRole('consultant', 'admin'), (req, res) => {
+        const record = findActiveRecord(req, res);
+        if (!record) return;
+
+        const updates = (req.body && req.body.updates) || {};
+        Object.entries(updates).forEach(([key, value]) => {
+            if (!READ_ONLY_FIELDS.includes(key)) record[key] = value;
+        });
+        record.updated_at = new Date().toISOString();
+        record.updated_by = (req.body && req.body.changed_by) || null;
+
+        res.json({ row: record });
+    });
+
+    // 归档 / 恢复 / 软删除：记录保留在数据集中，只设置标记
+    app.post('/api/surveys/:id/archive', requireRole('admin'), (req, res) => {
+        const record = findActiveRecord(req, res);
+        if (!record) return;
+        record.archived = true;
+        record.archived_at = new Date().toISOString();
+        record.updated_at = record.archived_at;
+        res.json({ row: record });
+    });
+
+    app.post('/api/surveys/:id/restore', requireRole('admin'), (req, res) => {
+        const record = findActiveRecord(req, res);
+        if (!record) return;
+        record.archived = false;
+        record.archived_at = null;
+        record.updated_at = new Date().toISOString();
+        res.json({ row: record });
+    });
+
+    app.delete('/api/surveys/:id', requireRole('admin'), (req, res) => {
+        const record = findActiveRecord(req, res);
+        if (!record) return;
+        record.deleted = true;
+        record.deleted_at = new Date().toISOString();
+        record.updated_at = record.deleted_at;
+        res.json({ success: true, id: record.id });
+    });
+
+    // 审计日志：任何已登录用户都可上报自己的操作，只有管理员可以查询
+    const auditEvents = [];
+
+    app.post('/api/audit', (req, res) => {
+        const events = Array.isArray(req.body && req.body.events) ? req.body.events : [];
+        const receivedAt = new Date().toISOString();
+        events.forEach(event => {
+            // 同一事件重发时（上传后响应丢失）不重复记录
+            if (event.id && auditEvents.some(existing => existing.id === event.id)) return;
+            auditEvents.push({ ...event, user: req.user.username, received_at: receivedAt });
+        });
+        res.json({ accepted: events.length });
+    });
+
+    app.get('/api/audit', requireRole('admin'), (req, res) => {
+        const { actor, action, target_id: targetId, start_date: startDate, end_date: endDate } = req.query;
+        const limit = Math.min(MAX_LIMIT, Math.max(1, parseInt(req.query.limit, 10) || DEFAULT_LIMIT));
+        const offset = Math.max(0, parseInt(req.query.offset, 10) || 0);
+
+        const matched = auditEvents.filter(event => {
+            if (actor && !String(event.actor || '').includes(actor)) return false;
+            if (action && event.action !== action) return false;
+            if (targetId && String(event.target_id) !== targetId) return false;
+            const at = new Date(event.timestamp).getTime();
+            if (startDate && at < new Date(`${startDate}T00:00:00`).getTime()) return false;
+            if (endDate && at > new Date(`${endDate}T23:59:59.999`).getTime()) return false;
+            return true;
+        }).sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+
+        res.json({ rows: matched.slice(offset, offset + limit), total: matched.length });
+    });
+
+    // 导出与列表使用相同的筛选语义（含 archived 视图），不分页
+    app.get('/api/export', requireRole('consultant', 'admin'), (req, res) => {
+        const { sort, order, ...filters } = req.query;
+        // 增量同步参数会带出已删除的墓碑记录，导出时不接受
+        delete filters.updated_since;
+        const exported = applySurveyQuery(records, {
+            filters,
+            sort: sort ? { field: sort, order: order === 'asc' ? 'asc' : 'desc' } : null
+        }).rows;
+        const columns = getExportColumns(exported);
+        const lines = [
+            columns.join(','),
+            ...exported.map(record => columns.map(column => toCSVCell(record[column])).join(','))
+        ];
+
+        res.set({
+            'Content-Type': 'text/csv; charset=utf-8',
+            'Content-Disposition': `attachment; filename="surveys_${new Date().toISOString().slice(0, 10)}.csv"`
+        });
+        res.send('\uFEFF' + lines.join('\n'));
+    });
+
+    app.use('/api', (req, res) => {
+        res.status(404).json({ error: `接口不存在: ${req.method} ${req.originalUrl}` });
+    });
+
+    return records;
+}
+
+module.exports = { registerMockApi };
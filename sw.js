@@ -2,8 +2,8 @@
 // Provides caching and offline functionality
 
 const CACHE_NAME = 'restaurant-survey-v1';
-const STATIC_CACHE = 'static-v1';
-const DYNAMIC_CACHE = 'dynamic-v1';
+const STATIC_CACHE = 'static-v9';
+const DYNAMIC_CACHE = 'dynamic-v9';
 
 // Files to cache immediately
 const STATIC_FILES = [
@@ -12,6 +12,18 @@ const STATIC_FILES = [
     '/css/styles.min.css',
     '/js/app.js',
     '/js/diagnosis.js',
+    '/js/api-client.js',
+    '/js/response-cache.js',
+    '/js/survey-query.js',
+    '/js/offline-store.js',
+    '/js/data-import.js',
+    '/js/data-export.js',
+    '/js/router.js',
+    '/js/credential-vault.js',
+    '/js/audit-log.js',
+    '/js/data-quality.js',
+    '/js/survey-record.js',
+    '/js/duplicate-detector.js',
     'https://cdn.tailwindcss.com/3.3.3',
     'https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.7.2/css/all.min.css',
     'https://cdnjs.cloudflare.com/ajax/libs/Chart.js/3.9.1/chart.min.js',
@@ -65,6 +77,11 @@ self.addEventListener('fetch', event => {
         return;
     }
 
+    // API requests always go to the network; offline data is served by the app's IndexedDB mirror
+    if (url.pathname.includes('/api/')) {
+        return;
+    }
+
     event.respondWith(
         caches.match(request)
             .then(cachedResponse => {
@@ -85,9 +102,8 @@ self.addEventListener('fetch', event => {
                         // Clone the response for caching
                         const responseToCache = response.clone();
 
-                        // Cache API responses and static assets
-                        if (url.pathname.includes('/api/') || 
-                            url.pathname.endsWith('.js') || 
+                        // Cache static assets
+                        if (url.pathname.endsWith('.js') || 
                             url.pathname.endsWith('.css') ||
                             url.hostname.includes('cdn')) {
                             
@@ -90,3 +90,13 @@ const wrongStringTotal = stringData.food_cost + stringData.labor_cost + stringDa
                          stringData.marketing_cost + stringData.utility_cost;
 console.log('❌ 不转换直接相加:', wrongStringTotal);
 console.log('❌ 错误结果类型:', typeof wrongStringTotal);
+
+// 使用 SurveyRecord 在数据边界统一转换（诊断算法只接收该模型）
+console.log('\n=== SurveyRecord 模型测试 ===');
+const { SurveyRecord } = require('./js/survey-record.js');
+const record = SurveyRecord.from({ ...stringData, labor_cost: '50,000', business_type: ' 奶茶店 ', seats: '' });
+const modelTotalCost = record.food_cost + record.labor_cost + record.rent_cost + record.marketing_cost + record.utility_cost;
+console.log('模型总成本:', modelTotalCost);
+console.log('结果是否正确:', modelTotalCost === 158000);
+console.log('业态类型规范化:', record.business_type);
+console.log('使用默认值的字段:', record.defaultedFields.join(', '));